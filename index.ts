@@ -2,4 +2,15 @@ import { NodeCacheTs } from "./src/node_cache_ts";
 
 export default NodeCacheTs;
 export * from './src/node_cache_ts';
-export * from './src/node_cache';
\ No newline at end of file
+export * from './src/node_cache';
+export * from './src/eviction';
+export * from './src/circuit_breaker';
+export * from './src/storage';
+export * from './src/housekeeper';
+export * from './src/invalidation_bus';
+export * from './src/shared_cache';
+export * from './src/l2_store';
+export * from './src/metrics';
+export * from './src/instrumentation';
+export * from './src/key';
+export * from './src/memoize';
\ No newline at end of file
@@ -0,0 +1,191 @@
+import { EventEmitter } from "events";
+
+export type CircuitState = "closed" | "open" | "half-open";
+
+export type CircuitBreakerOptions = {
+  /**
+   * failure rate (0-1) within the window that opens the circuit
+   *
+   * @type {number}
+   */
+  failureRateThreshold?: number;
+
+  /**
+   * number of the latest calls the failure rate is calculated from
+   *
+   * @type {number}
+   */
+  windowSize?: number;
+
+  /**
+   * calls needed in the window before the failure rate is evaluated
+   *
+   * @type {number}
+   */
+  minimumCalls?: number;
+
+  /**
+   * time in seconds the circuit stays open before probing again
+   *
+   * @type {number}
+   */
+  openDuration?: number;
+
+  /**
+   * successful probe calls needed in half-open state to close the circuit
+   *
+   * @type {number}
+   */
+  halfOpenProbes?: number;
+};
+
+export type CircuitStats = {
+  state: CircuitState;
+  failureRate: number;
+  opens: number;
+};
+
+/**
+ * Closed / open / half-open circuit breaker.
+ *
+ * Call `allowRequest` before each call and report its outcome with
+ * `onSuccess`, `onFailure` or `onCancel`. Emits `state_change` with the new and previous state.
+ */
+export class CircuitBreaker extends EventEmitter {
+  options: Required<CircuitBreakerOptions>;
+  state: CircuitState = "closed";
+  private outcomes: boolean[] = [];
+  private failures = 0;
+  private openedAt = 0;
+  private opens = 0;
+  private probes = 0;
+  private probeSuccesses = 0;
+
+  constructor(options: CircuitBreakerOptions = {}) {
+    super();
+    this.options = {
+      failureRateThreshold: 0.5,
+      windowSize: 20,
+      minimumCalls: 5,
+      openDuration: 30,
+      halfOpenProbes: 1,
+      ...options,
+    };
+  }
+
+  // ## allowRequest
+  //
+  // check if a call may be made now. In half-open state every allowed call is a probe.
+  allowRequest() {
+    if (this.state === "open") {
+      if (this.retryIn() > 0) {
+        return false;
+      }
+      this._transition("half-open");
+    }
+    if (this.state === "half-open") {
+      if (this.probes >= this.options.halfOpenProbes) {
+        return false;
+      }
+      this.probes++;
+    }
+    return true;
+  }
+
+  // ## onSuccess
+  //
+  // report a successful call
+  onSuccess() {
+    if (this.state === "half-open") {
+      this.probeSuccesses++;
+      if (this.probeSuccesses >= this.options.halfOpenProbes) {
+        this._transition("closed");
+      }
+      return;
+    }
+    this._record(true);
+  }
+
+  // ## onFailure
+  //
+  // report a failed call
+  onFailure() {
+    if (this.state === "half-open") {
+      this._transition("open");
+      return;
+    }
+    this._record(false);
+    if (
+      this.state === "closed" &&
+      this.outcomes.length >= this.options.minimumCalls &&
+      this.failures / this.outcomes.length >= this.options.failureRateThreshold
+    ) {
+      this._transition("open");
+    }
+  }
+
+  // ## onCancel
+  //
+  // report a call that was aborted before it had an outcome
+  onCancel() {
+    if (this.state === "half-open" && this.probes > 0) {
+      // give the probe slot to the next call
+      this.probes--;
+    }
+  }
+
+  // ## retryIn
+  //
+  // time in seconds until an open circuit lets a probe through
+  retryIn() {
+    if (this.state !== "open") {
+      return 0;
+    }
+    const remaining =
+      this.openedAt + this.options.openDuration * 1000 - Date.now();
+    return Math.max(remaining, 0) / 1000;
+  }
+
+  getStats(): CircuitStats {
+    return {
+      state: this.state,
+      failureRate: this.outcomes.length
+        ? this.failures / this.outcomes.length
+        : 0,
+      opens: this.opens,
+    };
+  }
+
+  // ## _record
+  //
+  // internal method to add an outcome to the sliding window
+  private _record(success: boolean) {
+    this.outcomes.push(success);
+    if (!success) {
+      this.failures++;
+    }
+    if (this.outcomes.length > this.options.windowSize) {
+      if (!this.outcomes.shift()) {
+        this.failures--;
+      }
+    }
+  }
+
+  // ## _transition
+  //
+  // internal method to change the state and reset its counters
+  private _transition(state: CircuitState) {
+    const previous = this.state;
+    this.state = state;
+    this.probes = 0;
+    this.probeSuccesses = 0;
+    if (state === "open") {
+      this.openedAt = Date.now();
+      this.opens++;
+    } else if (state === "closed") {
+      this.outcomes = [];
+      this.failures = 0;
+    }
+    this.emit("state_change", state, previous);
+  }
+}
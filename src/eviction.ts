@@ -0,0 +1,183 @@
+import { Key } from "./node_cache";
+
+/**
+ * Strategy used to make room when a bounded cache is full.
+ *
+ * - `none`: reject the write with an error
+ * - `lru`: evict the least recently used key
+ * - `lfu`: evict the least frequently used key (ties broken by recency)
+ * - `fifo`: evict the oldest inserted key
+ */
+export type EvictionPolicy = "none" | "lru" | "lfu" | "fifo";
+
+/**
+ * Keeps the order in which keys should be evicted.
+ * All operations are O(1).
+ */
+export type EvictionTracker = {
+  /** register a newly inserted key */
+  add(key: Key): void;
+  /** register a read or an overwrite of an existing key */
+  touch(key: Key): void;
+  /** forget a key that has been removed from the cache */
+  remove(key: Key): void;
+  /** the next key to evict, skipping `skip` if given */
+  victim(skip?: Key): Key | undefined;
+  /** forget all keys */
+  clear(): void;
+};
+
+// ## firstOf
+//
+// internal helper returning the first element of an ordered set that is not `skip`
+function firstOf(keys: Set<Key>, skip?: Key): Key | undefined {
+  for (const key of keys) {
+    if (key !== skip) {
+      return key;
+    }
+  }
+  return undefined;
+}
+
+/**
+ * Insertion ordered tracker. `Set` keeps insertion order, so the first
+ * element is always the oldest one.
+ */
+export class FifoTracker implements EvictionTracker {
+  protected keys = new Set<Key>();
+
+  add(key: Key) {
+    this.keys.add(key);
+  }
+
+  touch(_key: Key) {
+    // access does not change the insertion order
+  }
+
+  remove(key: Key) {
+    this.keys.delete(key);
+  }
+
+  victim(skip?: Key) {
+    return firstOf(this.keys, skip);
+  }
+
+  clear() {
+    this.keys.clear();
+  }
+}
+
+/**
+ * Recency ordered tracker. A touched key is moved to the end of the set.
+ */
+export class LruTracker extends FifoTracker {
+  touch(key: Key) {
+    if (this.keys.delete(key)) {
+      this.keys.add(key);
+    }
+  }
+}
+
+/**
+ * Frequency ordered tracker. Keys are kept in buckets per access count,
+ * each bucket ordered by recency, and the lowest non-empty count is remembered.
+ */
+export class LfuTracker implements EvictionTracker {
+  private counts = new Map<Key, number>();
+  private buckets = new Map<number, Set<Key>>();
+  private minCount = 0;
+
+  add(key: Key) {
+    this.counts.set(key, 1);
+    this._bucket(1).add(key);
+    this.minCount = 1;
+  }
+
+  touch(key: Key) {
+    const count = this.counts.get(key);
+    if (count === undefined) {
+      return;
+    }
+    this._unlink(key, count);
+    this.counts.set(key, count + 1);
+    this._bucket(count + 1).add(key);
+  }
+
+  remove(key: Key) {
+    const count = this.counts.get(key);
+    if (count === undefined) {
+      return;
+    }
+    this._unlink(key, count);
+    this.counts.delete(key);
+  }
+
+  victim(skip?: Key) {
+    const bucket = this.buckets.get(this.minCount);
+    const key = bucket ? firstOf(bucket, skip) : undefined;
+    if (key !== undefined) {
+      return key;
+    }
+    // the lowest bucket only holds `skip` (or min count is stale), search the next one
+    let next: number | undefined;
+    for (const [count, keys] of this.buckets) {
+      if (
+        firstOf(keys, skip) !== undefined &&
+        (next === undefined || count < next)
+      ) {
+        next = count;
+      }
+    }
+    return next === undefined ? undefined : firstOf(this._bucket(next), skip);
+  }
+
+  clear() {
+    this.counts.clear();
+    this.buckets.clear();
+    this.minCount = 0;
+  }
+
+  // ## _bucket
+  //
+  // internal method to get or create the bucket of keys with the given count
+  private _bucket(count: number) {
+    let bucket = this.buckets.get(count);
+    if (!bucket) {
+      bucket = new Set();
+      this.buckets.set(count, bucket);
+    }
+    return bucket;
+  }
+
+  // ## _unlink
+  //
+  // internal method to remove a key from its bucket and drop empty buckets
+  private _unlink(key: Key, count: number) {
+    const bucket = this._bucket(count);
+    bucket.delete(key);
+    if (bucket.size === 0) {
+      this.buckets.delete(count);
+      if (this.minCount === count) {
+        this.minCount = count + 1;
+      }
+    }
+  }
+}
+
+// ## createEvictionTracker
+//
+// create the tracker for the given policy. `none` does not need one.
+export function createEvictionTracker(
+  policy: EvictionPolicy,
+): EvictionTracker | null {
+  switch (policy) {
+    case "lru":
+      return new LruTracker();
+    case "lfu":
+      return new LfuTracker();
+    case "fifo":
+      return new FifoTracker();
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,113 @@
+import { Key } from "./node_cache";
+
+export type ExpiryEntry<O> = {
+  /** timestamp in ms when the key expires */
+  t: number;
+  key: Key;
+  /** the cache the key belongs to */
+  owner: O;
+};
+
+/**
+ * Binary min-heap of expiry timestamps.
+ *
+ * Entries are never removed when a key is deleted or gets a new ttl, the
+ * owner has to check if a popped entry still matches the stored value.
+ */
+export class ExpiryHeap<O> {
+  private heap: ExpiryEntry<O>[] = [];
+
+  get size() {
+    return this.heap.length;
+  }
+
+  // ## push
+  //
+  // add an expiry timestamp for a key of an owner
+  push(t: number, key: Key, owner: O) {
+    this.heap.push({ t, key, owner });
+    this._up(this.heap.length - 1);
+  }
+
+  // ## peek
+  //
+  // the entry that expires first without removing it
+  peek(): ExpiryEntry<O> | undefined {
+    return this.heap[0];
+  }
+
+  // ## pop
+  //
+  // remove and return the entry that expires first
+  pop(): ExpiryEntry<O> | undefined {
+    const top = this.heap[0];
+    const last = this.heap.pop();
+    if (top !== undefined && last !== undefined && this.heap.length > 0) {
+      this.heap[0] = last;
+      this._down(0);
+    }
+    return top;
+  }
+
+  // ## rebuild
+  //
+  // replace all entries, used to drop entries of deleted keys
+  rebuild(entries: ExpiryEntry<O>[]) {
+    this.heap = entries;
+    for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+      this._down(i);
+    }
+  }
+
+  clear() {
+    this.heap = [];
+  }
+
+  // ## _up
+  //
+  // internal method to move an entry up until its parent expires earlier
+  private _up(index: number) {
+    const heap = this.heap;
+    const entry = heap[index] as ExpiryEntry<O>;
+    while (index > 0) {
+      const parentIndex = Math.floor((index - 1) / 2);
+      const parent = heap[parentIndex] as ExpiryEntry<O>;
+      if (parent.t <= entry.t) {
+        break;
+      }
+      heap[index] = parent;
+      index = parentIndex;
+    }
+    heap[index] = entry;
+  }
+
+  // ## _down
+  //
+  // internal method to move an entry down until its children expire later
+  private _down(index: number) {
+    const heap = this.heap;
+    const entry = heap[index] as ExpiryEntry<O>;
+    for (;;) {
+      const left = 2 * index + 1;
+      const right = left + 1;
+      let smallest = index;
+      let smallestEntry = entry;
+      const leftEntry = heap[left];
+      if (leftEntry && leftEntry.t < smallestEntry.t) {
+        smallest = left;
+        smallestEntry = leftEntry;
+      }
+      const rightEntry = heap[right];
+      if (rightEntry && rightEntry.t < smallestEntry.t) {
+        smallest = right;
+        smallestEntry = rightEntry;
+      }
+      if (smallest === index) {
+        break;
+      }
+      heap[index] = smallestEntry;
+      index = smallest;
+    }
+    heap[index] = entry;
+  }
+}
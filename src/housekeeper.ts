@@ -0,0 +1,163 @@
+import { ExpiryEntry, ExpiryHeap } from "./expiry_heap";
+import { Key } from "./node_cache";
+
+/**
+ * A cache whose expiring keys are checked by a housekeeper.
+ */
+export type HousekeepingTarget = {
+  options: { checkperiod: number };
+  stats: { keys: number };
+  /** run the housekeeping of the cache, keeps the automatic checks running if `startPeriod` */
+  _checkData(startPeriod?: boolean): unknown;
+  /** check a key that was scheduled to expire at `t` */
+  _expireEntry(key: Key, t: number): void;
+  /** expiry timestamps of all stored keys, used to drop outdated entries */
+  _scheduledExpiries(): Iterable<ExpiryEntry<HousekeepingTarget>>;
+};
+
+/**
+ * Single timer checking the expiring keys of one or many caches.
+ *
+ * Every cache creates its own housekeeper unless one is passed with the
+ * `housekeeper` option, namespaces share the housekeeper of their parent.
+ * The timer sleeps until the next key is due, at most the smallest
+ * `checkperiod` of the caches with automatic checks.
+ */
+export class Housekeeper {
+  checkTimeout: NodeJS.Timeout | null = null;
+  private checkAt = 0;
+  private expiries = new ExpiryHeap<HousekeepingTarget>();
+  /** caches attached until they are closed */
+  private targets = new Set<HousekeepingTarget>();
+  /** caches with automatic checks */
+  private running = new Set<HousekeepingTarget>();
+
+  // ## attach
+  //
+  // register a cache, its expiries are kept when outdated entries are dropped
+  attach(target: HousekeepingTarget) {
+    this.targets.add(target);
+  }
+
+  // ## detach
+  //
+  // forget a closed cache
+  detach(target: HousekeepingTarget) {
+    this.stop(target);
+    this.targets.delete(target);
+  }
+
+  // ## start
+  //
+  // check the keys of a cache automatically
+  start(target: HousekeepingTarget) {
+    this.running.add(target);
+    this._arm();
+  }
+
+  // ## stop
+  //
+  // stop the automatic checks of a cache, the timer is stopped with the last one
+  stop(target: HousekeepingTarget) {
+    this.running.delete(target);
+    if (this.running.size === 0) {
+      this._clearCheckTimeout();
+    }
+  }
+
+  // ## schedule
+  //
+  // register the expiry timestamp of a key
+  schedule(target: HousekeepingTarget, key: Key, t: number) {
+    this.expiries.push(t, key, target);
+    // drop entries of deleted and updated keys once they dominate the heap,
+    // counting the keys is skipped while the heap is small
+    if (
+      this.expiries.size > 1024 &&
+      this.expiries.size > 2 * this._keys() + 1024
+    ) {
+      const entries = [];
+      // one entry at a time, spreading a large cache into one call overflows the stack
+      for (const attached of this.targets) {
+        for (const entry of attached._scheduledExpiries()) {
+          entries.push(entry);
+        }
+      }
+      this.expiries.rebuild(entries);
+    }
+    this._arm();
+  }
+
+  // ## check
+  //
+  // check all keys that are due. Keys of caches without automatic checks are
+  // only checked for the given `target`, otherwise they are checked on access.
+  check(target?: HousekeepingTarget) {
+    const now = Date.now();
+    for (
+      let next = this.expiries.peek();
+      // same condition as in `NodeCache._check`
+      next && next.t < now;
+      next = this.expiries.peek()
+    ) {
+      this.expiries.pop();
+      if (next.owner === target || this.running.has(next.owner)) {
+        next.owner._expireEntry(next.key, next.t);
+      }
+    }
+  }
+
+  // ## _arm
+  //
+  // internal method to (re)start the timer for the next due key
+  private _arm() {
+    const next = this.expiries.peek();
+    if (this.running.size === 0 || !next) {
+      return;
+    }
+    let checkperiod = Infinity;
+    for (const target of this.running) {
+      checkperiod = Math.min(checkperiod, target.options.checkperiod);
+    }
+    const now = Date.now();
+    // setTimeout can not sleep longer than 2^31 - 1 ms
+    const at = Math.min(
+      next.t + 1,
+      now + Math.min(checkperiod * 1000, 2147483647),
+    );
+    // the running timer fires early enough
+    if (this.checkTimeout !== null && this.checkAt <= at) {
+      return;
+    }
+    this._clearCheckTimeout();
+    this.checkAt = at;
+    this.checkTimeout = setTimeout(() => {
+      this.checkTimeout = null;
+      for (const target of Array.from(this.running)) {
+        target._checkData();
+      }
+    }, at - now);
+    this.checkTimeout.unref();
+  }
+
+  // ## _clearCheckTimeout
+  //
+  // internal method to clear a pending check timer
+  private _clearCheckTimeout() {
+    if (this.checkTimeout !== null) {
+      clearTimeout(this.checkTimeout);
+      this.checkTimeout = null;
+    }
+  }
+
+  // ## _keys
+  //
+  // internal method to count the keys of all attached caches
+  private _keys() {
+    let keys = 0;
+    for (const target of this.targets) {
+      keys += target.stats.keys;
+    }
+    return keys;
+  }
+}
@@ -0,0 +1,157 @@
+import { Key } from "./node_cache";
+
+/**
+ * `call` and `refresh` (background refresh) of `NodeCacheTs`, `load` (a call of
+ * the refresh method or the l2 tier) and `fetchAsync` of `NodeCache`.
+ */
+export type OperationName = "call" | "refresh" | "load" | "fetchAsync";
+
+/**
+ * - `hit`: answered from memory
+ * - `coalesced`: joined a load already running for the key
+ * - `loaded`: loaded by the refresh method, the l2 tier or the loader
+ * - `stale`: answered with an expired value
+ * - `negative`: answered from a remembered negative result
+ * - `aborted`: the load was aborted because the key was deleted, flushed or the cache closed
+ * - `error`: failed
+ */
+export type OperationOutcome =
+  | "hit"
+  | "coalesced"
+  | "loaded"
+  | "stale"
+  | "negative"
+  | "aborted"
+  | "error";
+
+export type OperationAttributes = { [name: string]: string | number | boolean };
+
+/**
+ * Passed to `onOperationStart` and, the same object completed, to `onOperationEnd`.
+ */
+export type CacheOperation = {
+  name: OperationName;
+  key: Key;
+  /** timestamp in ms */
+  startTime: number;
+  /** `cache.hit`, `cache.coalesced`, `cache.stale`, `cache.refresh.background` and more, final on end */
+  attributes: OperationAttributes;
+  /** set on end */
+  outcome?: OperationOutcome;
+  /** duration in ms, set on end */
+  duration?: number;
+  /** the error of a failed operation or of the load a stale value replaced */
+  error?: unknown;
+};
+
+/**
+ * Hooks called around the operations of a cache. Errors thrown by hooks are ignored.
+ */
+export type Instrumentation = {
+  onOperationStart?(operation: CacheOperation): void;
+  onOperationEnd?(operation: CacheOperation): void;
+};
+
+/** The parts of an OpenTelemetry `Span` used by the adapter. */
+export type SpanLike = {
+  setAttributes(attributes: OperationAttributes): unknown;
+  recordException(exception: Error): unknown;
+  setStatus(status: { code: number; message?: string }): unknown;
+  end(endTime?: number): unknown;
+};
+
+/** The parts of an OpenTelemetry `Tracer` used by the adapter. */
+export type TracerLike = {
+  startSpan(
+    name: string,
+    options?: { attributes?: OperationAttributes; startTime?: number },
+  ): SpanLike;
+};
+
+type OpenTelemetryApi = {
+  trace: { getTracer(name: string, version?: string): TracerLike };
+};
+
+export type OpenTelemetryOptions = {
+  /** defaults to the tracer `tracerName` of the global tracer provider of `@opentelemetry/api` */
+  tracer?: TracerLike;
+  /** defaults to `node-cache-ts` */
+  tracerName?: string;
+};
+
+// `SpanStatusCode.ERROR` of the OpenTelemetry API
+const SPAN_STATUS_ERROR = 2;
+
+// ## loadOpenTelemetry
+//
+// internal helper to load the optional `@opentelemetry/api` package
+function loadOpenTelemetry() {
+  try {
+    // an optional peer dependency can not be imported statically
+    // eslint-disable-next-line @typescript-eslint/no-var-requires
+    return require("@opentelemetry/api") as OpenTelemetryApi;
+  } catch {
+    return null;
+  }
+}
+
+// ## openTelemetryInstrumentation
+//
+// instrumentation creating one span per operation, named `cache.<operation>`.
+// Without a `tracer` the package `@opentelemetry/api` has to be installed.
+export function openTelemetryInstrumentation(
+  options: OpenTelemetryOptions = {},
+): Instrumentation {
+  let tracer = options.tracer;
+  if (!tracer) {
+    const api = loadOpenTelemetry();
+    if (!api) {
+      const error = new Error(
+        "Install @opentelemetry/api or pass a tracer to create spans",
+      );
+      error.name = "ENOOPENTELEMETRY";
+      throw error;
+    }
+    tracer = api.trace.getTracer(options.tracerName ?? "node-cache-ts");
+  }
+  const spanTracer = tracer;
+  const spans = new WeakMap<CacheOperation, SpanLike>();
+  return {
+    onOperationStart(operation) {
+      spans.set(
+        operation,
+        spanTracer.startSpan(`cache.${operation.name}`, {
+          startTime: operation.startTime,
+          attributes: {
+            "cache.operation": operation.name,
+            "cache.key": String(operation.key),
+            ...operation.attributes,
+          },
+        }),
+      );
+    },
+    onOperationEnd(operation) {
+      const span = spans.get(operation);
+      if (!span) {
+        return;
+      }
+      spans.delete(operation);
+      span.setAttributes({
+        ...operation.attributes,
+        "cache.outcome": operation.outcome ?? "error",
+      });
+      // the status stays unset unless the operation failed
+      const { error } = operation;
+      if (operation.outcome === "error") {
+        if (error instanceof Error) {
+          span.recordException(error);
+        }
+        span.setStatus({
+          code: SPAN_STATUS_ERROR,
+          message: error instanceof Error ? error.message : String(error),
+        });
+      }
+      span.end(operation.startTime + (operation.duration ?? 0));
+    },
+  };
+}
@@ -0,0 +1,193 @@
+import cluster from "cluster";
+import { BroadcastChannel } from "worker_threads";
+import { Key } from "./node_cache";
+
+/**
+ * A change that has to be applied by all caches connected to a bus.
+ * RegExp patterns are sent as `{ source, flags }`.
+ */
+export type InvalidationMessage =
+  | { type: "del"; keys: Key[] }
+  | { type: "flushAll" }
+  | { type: "invalidateTag"; tags: string[] }
+  | {
+      type: "delByPattern";
+      pattern: string | { source: string; flags: string };
+    };
+
+/**
+ * Delivers invalidations to the caches of other threads or processes.
+ * A transport must not deliver a message back to its publisher.
+ */
+export type InvalidationTransport = {
+  publish(message: InvalidationMessage): void;
+  /** returns a function removing the listener */
+  subscribe(listener: (message: InvalidationMessage) => void): () => void;
+};
+
+type Envelope = {
+  nodeCacheInvalidation: string;
+  message: InvalidationMessage;
+};
+
+// ## unwrap
+//
+// internal helper returning the message of an envelope sent on the given channel
+function unwrap(raw: unknown, channel: string) {
+  if (
+    typeof raw === "object" &&
+    raw !== null &&
+    (raw as Partial<Envelope>).nodeCacheInvalidation === channel
+  ) {
+    return (raw as Envelope).message;
+  }
+  return undefined;
+}
+
+/**
+ * Transport between all threads (main thread and `worker_threads`) of a process
+ * using a `BroadcastChannel` with the given name.
+ */
+export class BroadcastChannelTransport implements InvalidationTransport {
+  private channel: BroadcastChannel;
+  private listeners = new Set<(message: InvalidationMessage) => void>();
+
+  constructor(readonly name: string) {
+    this.channel = new BroadcastChannel(name);
+    this.channel.onmessage = (event: unknown) => {
+      const message = (event as { data: InvalidationMessage }).data;
+      for (const listener of this.listeners) {
+        listener(message);
+      }
+    };
+    // an idle channel must not keep the process alive
+    this.channel.unref();
+  }
+
+  publish(message: InvalidationMessage) {
+    this.channel.postMessage(message);
+  }
+
+  subscribe(listener: (message: InvalidationMessage) => void) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  close() {
+    this.channel.close();
+    this.listeners.clear();
+  }
+}
+
+export type ClusterWorkerLike = {
+  send(message: Envelope): unknown;
+};
+
+export type ClusterLike = {
+  isPrimary: boolean;
+  workers?: NodeJS.Dict<ClusterWorkerLike>;
+  on(
+    event: "message",
+    listener: (worker: ClusterWorkerLike, message: unknown) => void,
+  ): unknown;
+  off(
+    event: "message",
+    listener: (worker: ClusterWorkerLike, message: unknown) => void,
+  ): unknown;
+};
+
+export type IpcProcessLike = {
+  send?(message: Envelope): unknown;
+  on(event: "message", listener: (message: unknown) => void): unknown;
+  off(event: "message", listener: (message: unknown) => void): unknown;
+};
+
+export type ClusterTransportOptions = {
+  /** defaults to the `cluster` module */
+  cluster?: ClusterLike;
+  /** defaults to the current `process` */
+  process?: IpcProcessLike;
+};
+
+/**
+ * Transport between the processes of a Node `cluster` over IPC.
+ * Workers send their messages to the primary, the primary passes them on to
+ * all other workers. Create it with the same name in the primary and all workers.
+ */
+export class ClusterTransport implements InvalidationTransport {
+  private cluster: ClusterLike;
+  private process: IpcProcessLike;
+  private listeners = new Set<(message: InvalidationMessage) => void>();
+  private onWorkerMessage = (worker: ClusterWorkerLike, raw: unknown) => {
+    const message = unwrap(raw, this.name);
+    if (message) {
+      this._sendToWorkers(message, worker);
+      this._deliver(message);
+    }
+  };
+  private onPrimaryMessage = (raw: unknown) => {
+    const message = unwrap(raw, this.name);
+    if (message) {
+      this._deliver(message);
+    }
+  };
+
+  constructor(
+    readonly name: string,
+    options: ClusterTransportOptions = {},
+  ) {
+    this.cluster = options.cluster ?? cluster;
+    this.process = options.process ?? process;
+    if (this.cluster.isPrimary) {
+      this.cluster.on("message", this.onWorkerMessage);
+    } else {
+      this.process.on("message", this.onPrimaryMessage);
+    }
+  }
+
+  publish(message: InvalidationMessage) {
+    if (this.cluster.isPrimary) {
+      this._sendToWorkers(message);
+    } else {
+      this.process.send?.({ nodeCacheInvalidation: this.name, message });
+    }
+  }
+
+  subscribe(listener: (message: InvalidationMessage) => void) {
+    this.listeners.add(listener);
+    return () => {
+      this.listeners.delete(listener);
+    };
+  }
+
+  close() {
+    this.cluster.off("message", this.onWorkerMessage);
+    this.process.off("message", this.onPrimaryMessage);
+    this.listeners.clear();
+  }
+
+  // ## _sendToWorkers
+  //
+  // internal method to pass a message to all workers except its sender
+  private _sendToWorkers(
+    message: InvalidationMessage,
+    sender?: ClusterWorkerLike,
+  ) {
+    for (const worker of Object.values(this.cluster.workers ?? {})) {
+      if (worker && worker !== sender) {
+        worker.send({ nodeCacheInvalidation: this.name, message });
+      }
+    }
+  }
+
+  // ## _deliver
+  //
+  // internal method to pass a received message to the local listeners
+  private _deliver(message: InvalidationMessage) {
+    for (const listener of this.listeners) {
+      listener(message);
+    }
+  }
+}
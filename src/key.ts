@@ -0,0 +1,79 @@
+import { createHash } from "crypto";
+import { Key } from "./node_cache";
+
+// ## canonicalize
+//
+// serialize a value so that equal values give the same string regardless of the
+// order of their object keys. Values that JSON can not tell apart (bigints, dates,
+// maps and sets) are marked, `undefined`, functions and symbols are skipped in objects.
+export function canonicalize(value: unknown): string {
+  return canonicalizeValue(value, new Set());
+}
+
+// ## canonicalizeValue
+//
+// internal helper of `canonicalize` tracking the objects being serialized to detect cycles
+function canonicalizeValue(value: unknown, parents: Set<object>): string {
+  if (typeof value === "bigint") {
+    return `${value}n`;
+  }
+  if (
+    value === undefined ||
+    typeof value === "function" ||
+    typeof value === "symbol"
+  ) {
+    // like JSON in arrays
+    return "null";
+  }
+  if (value === null || typeof value !== "object") {
+    return JSON.stringify(value);
+  }
+  if (parents.has(value)) {
+    throw new TypeError("Can not derive a key from circular arguments");
+  }
+  parents.add(value);
+  let result: string;
+  if (value instanceof Date) {
+    result = `D${JSON.stringify(value.toISOString())}`;
+  } else if (Array.isArray(value)) {
+    const items = value.map((item: unknown) => {
+      return canonicalizeValue(item, parents);
+    });
+    result = `[${items.join(",")}]`;
+  } else if (value instanceof Map) {
+    const entries = Array.from(value, ([key, item]: [unknown, unknown]) => {
+      return `${canonicalizeValue(key, parents)}:${canonicalizeValue(item, parents)}`;
+    });
+    result = `M{${entries.sort().join(",")}}`;
+  } else if (value instanceof Set) {
+    const items = Array.from(value, (item: unknown) => {
+      return canonicalizeValue(item, parents);
+    });
+    result = `S[${items.sort().join(",")}]`;
+  } else {
+    const record = value as Record<string, unknown>;
+    const entries = Object.keys(record)
+      .filter((key) => {
+        const item = record[key];
+        return (
+          item !== undefined &&
+          typeof item !== "function" &&
+          typeof item !== "symbol"
+        );
+      })
+      .sort()
+      .map((key) => {
+        return `${JSON.stringify(key)}:${canonicalizeValue(record[key], parents)}`;
+      });
+    result = `{${entries.join(",")}}`;
+  }
+  parents.delete(value);
+  return result;
+}
+
+// ## deriveKey
+//
+// default `keyFn` of `NodeCacheTs`: a SHA-256 hash of the canonical arguments
+export function deriveKey(args: unknown): Key {
+  return createHash("sha256").update(canonicalize(args)).digest("base64url");
+}
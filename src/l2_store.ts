@@ -0,0 +1,47 @@
+import { Key } from "./node_cache";
+import { StoredEntry } from "./storage";
+
+/**
+ * Second, slower cache tier consulted by `NodeCacheTs` before the refresh
+ * method is called, e.g. a store shared by all processes of a fleet.
+ * Keys are the keys used in `data` (strings unless `strictKeys` is enabled),
+ * entries carry their absolute expiry, so every process keeps the same ttl.
+ */
+export type L2Store = {
+  /** resolves to `undefined` for unknown keys, expired entries are ignored by the cache */
+  get(key: Key): Promise<StoredEntry | undefined>;
+  set(key: Key, entry: StoredEntry): Promise<void>;
+  del(key: Key): Promise<void>;
+};
+
+/**
+ * In-process `L2Store`, e.g. for tests. Entries are copied with
+ * `structuredClone` like they would be by a remote store.
+ */
+export class MemoryL2Store implements L2Store {
+  private entries = new Map<Key, StoredEntry>();
+
+  async get(key: Key) {
+    const entry = this.entries.get(key);
+    if (entry && entry.t !== 0 && entry.t <= Date.now()) {
+      this.entries.delete(key);
+      return undefined;
+    }
+    return entry && structuredClone(entry);
+  }
+
+  async set(key: Key, entry: StoredEntry) {
+    this.entries.set(key, structuredClone(entry));
+  }
+
+  async del(key: Key) {
+    this.entries.delete(key);
+  }
+
+  // ## keys
+  //
+  // the keys currently stored, including expired ones not read since
+  keys() {
+    return Array.from(this.entries.keys());
+  }
+}
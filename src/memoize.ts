@@ -0,0 +1,102 @@
+import { Serializable } from "child_process";
+import { Key } from "./node_cache";
+import { NodeCacheTs, RefreshOptions } from "./node_cache_ts";
+
+type MemoizedArgs<P extends Serializable[]> = { args: P };
+
+export type MemoizeOptions<P extends Serializable[]> = RefreshOptions & {
+  /** time to live in seconds, same as `stdTTL` */
+  ttl?: number;
+  /** derives the cache key from the arguments, defaults to a hash of all arguments */
+  key?: (...args: P) => Key;
+};
+
+/**
+ * A memoized function with the signature of the wrapped one.
+ */
+export type Memoized<P extends Serializable[], R> = ((
+  ...args: P
+) => Promise<R>) & {
+  /** the cache holding the results */
+  cache: NodeCacheTs<MemoizedArgs<P>, R>;
+  /** delete the cached result of the arguments, returns the number of deleted keys */
+  invalidate(...args: P): number;
+  /** call the wrapped function now and cache its result */
+  refresh(...args: P): Promise<R>;
+};
+
+// ## memoize
+//
+// wrap an async function so its results are cached and refreshed by a `NodeCacheTs`
+//
+// **Example:**
+//
+//     const getUser = memoize( ( id ) => db.findUser( id ), { ttl: 60 } )
+//     await getUser( 42 )
+//
+export function memoize<P extends Serializable[], R>(
+  fn: (...args: P) => Promise<R>,
+  options: MemoizeOptions<P> = {},
+): Memoized<P, R> {
+  const { ttl, key, ...refreshOptions } = options;
+  const cacheOptions: RefreshOptions = { ...refreshOptions };
+  if (ttl !== undefined) {
+    cacheOptions.stdTTL = ttl;
+  }
+  if (key) {
+    cacheOptions.keyFn = (memoized) => {
+      return key(...(memoized as MemoizedArgs<P>).args);
+    };
+  }
+  const cache = new NodeCacheTs<MemoizedArgs<P>, R>(
+    cacheOptions,
+    (memoized) => {
+      return fn(...memoized.args);
+    },
+  );
+  const memoized = (...args: P) => {
+    return cache.call({ args });
+  };
+  return Object.assign(memoized, {
+    cache,
+    invalidate(...args: P) {
+      return cache.del(cache.keyFn({ args }));
+    },
+    refresh(...args: P) {
+      return cache.refresh(cache.keyFn({ args }), { args });
+    },
+  });
+}
+
+// ## cached
+//
+// method decorator memoizing the method per instance, see `memoize`.
+// `instance.method.cache`, `.invalidate( ...args )` and `.refresh( ...args )` are available.
+//
+// **Example:**
+//
+//     class UserService {
+//       @cached( { ttl: 60, ttr: 30 } )
+//       async findUser( id: number ) { ... }
+//     }
+//
+export function cached<P extends Serializable[], R>(
+  options: MemoizeOptions<P> = {},
+) {
+  return function <This extends object>(
+    method: (this: This, ...args: P) => Promise<R>,
+    context: ClassMethodDecoratorContext<
+      This,
+      (this: This, ...args: P) => Promise<R>
+    >,
+  ) {
+    context.addInitializer(function (this: This) {
+      // an own property per instance shadows the method of the prototype
+      Object.defineProperty(this, context.name, {
+        value: memoize(method.bind(this), options),
+        configurable: true,
+        writable: true,
+      });
+    });
+  };
+}
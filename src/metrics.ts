@@ -0,0 +1,170 @@
+import { IncomingMessage, ServerResponse } from "http";
+
+export type MetricLabels = { [name: string]: string };
+
+export type MetricSample = {
+  /** appended to the family name, e.g. `_total` or `_bucket` */
+  suffix: string;
+  labels: MetricLabels;
+  value: number;
+};
+
+export type MetricFamily = {
+  name: string;
+  type: "counter" | "gauge" | "histogram";
+  help: string;
+  unit?: string;
+  samples: MetricSample[];
+};
+
+/** A cache or anything else that reports metric families. */
+export type MetricsSource = {
+  _metricFamilies(): MetricFamily[];
+};
+
+export const OPENMETRICS_CONTENT_TYPE =
+  "application/openmetrics-text; version=1.0.0; charset=utf-8";
+
+/** upper bounds in seconds of the default histogram buckets */
+export const DEFAULT_BUCKETS = [
+  0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10,
+];
+
+/**
+ * Cumulative histogram of observed durations in seconds.
+ */
+export class Histogram {
+  readonly buckets: number[];
+  private counts: number[];
+  private count = 0;
+  private sum = 0;
+
+  constructor(buckets: number[] = DEFAULT_BUCKETS) {
+    this.buckets = [...buckets].sort((a, b) => {
+      return a - b;
+    });
+    this.counts = this.buckets.map(() => {
+      return 0;
+    });
+  }
+
+  observe(value: number) {
+    this.count++;
+    this.sum += value;
+    const index = this.buckets.findIndex((bound) => {
+      return value <= bound;
+    });
+    if (index > -1) {
+      this.counts[index]++;
+    }
+  }
+
+  reset() {
+    this.counts.fill(0);
+    this.count = 0;
+    this.sum = 0;
+  }
+
+  // ## samples
+  //
+  // the `_bucket`, `_count` and `_sum` samples with the given labels
+  samples(labels: MetricLabels): MetricSample[] {
+    const samples: MetricSample[] = [];
+    let cumulative = 0;
+    this.buckets.forEach((bound, i) => {
+      cumulative += this.counts[i] ?? 0;
+      samples.push({
+        suffix: "_bucket",
+        labels: { ...labels, le: String(bound) },
+        value: cumulative,
+      });
+    });
+    samples.push(
+      {
+        suffix: "_bucket",
+        labels: { ...labels, le: "+Inf" },
+        value: this.count,
+      },
+      { suffix: "_count", labels, value: this.count },
+      { suffix: "_sum", labels, value: this.sum },
+    );
+    return samples;
+  }
+}
+
+// ## escapeLabel
+//
+// internal helper to escape a label value
+function escapeLabel(value: string) {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/"/g, '\\"')
+    .replace(/\n/g, "\\n");
+}
+
+// ## formatValue
+//
+// internal helper to write a sample value
+function formatValue(value: number) {
+  if (Number.isNaN(value)) {
+    return "NaN";
+  }
+  if (!Number.isFinite(value)) {
+    return value > 0 ? "+Inf" : "-Inf";
+  }
+  return String(value);
+}
+
+// ## renderMetrics
+//
+// render the metrics of all sources as OpenMetrics text. Families of the same name are merged.
+export function renderMetrics(sources: Iterable<MetricsSource>) {
+  const families = new Map<string, MetricFamily>();
+  for (const source of sources) {
+    for (const family of source._metricFamilies()) {
+      const known = families.get(family.name);
+      if (known) {
+        known.samples.push(...family.samples);
+      } else {
+        families.set(family.name, { ...family, samples: [...family.samples] });
+      }
+    }
+  }
+  const lines: string[] = [];
+  for (const family of families.values()) {
+    lines.push(`# TYPE ${family.name} ${family.type}`);
+    if (family.unit) {
+      lines.push(`# UNIT ${family.name} ${family.unit}`);
+    }
+    lines.push(`# HELP ${family.name} ${family.help}`);
+    for (const sample of family.samples) {
+      const labels = Object.entries(sample.labels).map(([name, value]) => {
+        return `${name}="${escapeLabel(value)}"`;
+      });
+      const labelText = labels.length ? `{${labels.join(",")}}` : "";
+      lines.push(
+        `${family.name}${sample.suffix}${labelText} ${formatValue(sample.value)}`,
+      );
+    }
+  }
+  lines.push("# EOF");
+  return lines.join("\n") + "\n";
+}
+
+// ## metricsListener
+//
+// `http.RequestListener` answering every request with the metrics of the given caches
+export function metricsListener(...sources: MetricsSource[]) {
+  return (_request: IncomingMessage, response: ServerResponse) => {
+    let body: string;
+    try {
+      body = renderMetrics(sources);
+    } catch (error) {
+      response.writeHead(500, { "Content-Type": "text/plain" });
+      response.end(String(error));
+      return;
+    }
+    response.writeHead(200, { "Content-Type": OPENMETRICS_CONTENT_TYPE });
+    response.end(body);
+  };
+}
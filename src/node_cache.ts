@@ -1,18 +1,45 @@
 import { EventEmitter } from "events";
+import * as readline from "readline";
+import { Readable } from "stream";
+import { ExpiryEntry } from "./expiry_heap";
+import { Housekeeper, HousekeepingTarget } from "./housekeeper";
+import { SharedBudget } from "./shared_budget";
+import { InvalidationMessage, InvalidationTransport } from "./invalidation_bus";
+import { MetricFamily, MetricLabels, renderMetrics } from "./metrics";
+import {
+  CacheOperation,
+  Instrumentation,
+  OperationAttributes,
+  OperationName,
+  OperationOutcome,
+} from "./instrumentation";
+import {
+  EvictionPolicy,
+  EvictionTracker,
+  createEvictionTracker,
+} from "./eviction";
+import { StorageAdapter, StoredEntry } from "./storage";
 
 /**
- * Key-validation: The keys can be given as either string or number,
- * but are casted to a string internally anyway.
+ * Key-validation: The keys can be given as either string or number.
+ * Unless `strictKeys` is enabled `1` and `"1"` address the same entry.
  */
 export type Key = string | number;
 
-type Data<VT> = {
-  [keyof: Key]: WrappedValue<VT>;
-};
+type Data<VT> = Map<Key, WrappedValue<VT>>;
 
 type WrappedValue<VT> = {
+  /** the key as given by the user */
+  k: Key;
+  /** the effective expiry, moved by hits of sliding entries */
   t: number;
   v: VT | string;
+  /** tags for `invalidateTag`, only present if given */
+  tags?: string[];
+  /** idle time to live in seconds of a sliding entry, only present if given */
+  tti?: number;
+  /** the absolute expiry of a sliding entry, 0 = never */
+  cap?: number;
 };
 export type Options = {
   /**
@@ -47,7 +74,18 @@ export type Options = {
   stdTTL?: number;
 
   /**
-   * time in seconds to check all data and delete expired keys
+   * standard idle time to live in seconds. Hits of `get`, `mget` and `has` move the expiry
+   * of a key this far ahead, its ttl still ends it. 0 = no sliding expiration
+   *
+   * @type {number}
+   * @memberof Options
+   */
+  stdTTI?: number;
+
+  /**
+   * max time in seconds between two checks for expired keys.
+   * keys are checked as soon as they are due, this only bounds the sleep in between.
+   * 0 = no automatic check
    *
    * @type {number}
    * @memberof Options
@@ -76,25 +114,219 @@ export type Options = {
   /**
    * max amount of keys that are being stored.
    * set operations will throw an error when the cache is full
+   * unless an `evictionPolicy` is defined
    *
    * @type {number}
    * @memberof Options
    */
   maxKeys?: number;
+
+  /**
+   * how to make room when `maxKeys` is reached.
+   * `none` throws `ECACHEFULL`, `lru`, `lfu` and `fifo` evict a key and emit `evicted`
+   *
+   * @type {EvictionPolicy}
+   * @memberof Options
+   */
+  evictionPolicy?: EvictionPolicy;
+
+  /**
+   * max approximate size in bytes of all keys and values (`ksize` + `vsize`).
+   * writes exceeding it will evict keys according to the `evictionPolicy`
+   * or throw an error if there is none. -1 disables the limit
+   *
+   * @type {number}
+   * @memberof Options
+   */
+  maxSize?: number;
+
+  /**
+   * calculates the size of a single value in bytes.
+   * replaces the `objectValueSize`, `arrayValueSize` and `promiseValueSize` heuristics
+   *
+   * @memberof Options
+   */
+  sizeCalculation?: ((value: unknown, key: Key) => number) | null;
+
+  /**
+   * if enabled numeric and string keys are distinct, so `1` and `"1"` are different entries.
+   * by default keys are compared by their string representation
+   *
+   * @type {boolean}
+   * @memberof Options
+   */
+  strictKeys?: boolean;
+
+  /**
+   * time in seconds a rejected `fetchAsync` loader is remembered.
+   * calls within this window rethrow the error without running the loader again.
+   * 0 = rejections are not cached
+   *
+   * @type {number}
+   * @memberof Options
+   */
+  loadErrorTTL?: number;
+
+  /**
+   * persistent store every change is written through to.
+   * its entries are loaded on construction. `null` = memory only
+   *
+   * @type {StorageAdapter}
+   * @memberof Options
+   */
+  storage?: StorageAdapter | null;
+
+  /**
+   * checks the expiring keys of this cache. Pass the same housekeeper to many caches to run them on one timer.
+   * `null` = the cache creates its own one
+   *
+   * @type {Housekeeper}
+   * @memberof Options
+   */
+  housekeeper?: Housekeeper | null;
+
+  /**
+   * if enabled `maxKeys` and `maxSize` limit this cache and all its namespaces together
+   *
+   * @type {boolean}
+   * @memberof Options
+   */
+  sharedBudget?: boolean;
+
+  /**
+   * transport to send `del`, `flushAll`, `invalidateTag` and `delByPattern` to the caches
+   * of other threads or processes and to apply theirs. `null` = local only
+   *
+   * @type {InvalidationTransport}
+   * @memberof Options
+   */
+  invalidationBus?: InvalidationTransport | null;
+
+  /**
+   * labels added to all metrics of this cache, e.g. `{ cache: "users" }`
+   *
+   * @type {MetricLabels}
+   * @memberof Options
+   */
+  metricsLabels?: MetricLabels;
+
+  /**
+   * hooks called around `fetchAsync` and the `call`s, loads and refreshes of `NodeCacheTs`, see `openTelemetryInstrumentation`
+   *
+   * @type {Instrumentation}
+   * @memberof Options
+   */
+  instrumentation?: Instrumentation | null;
+};
+
+/**
+ * Options of a single `set`, replaces the ttl argument.
+ */
+export type SetOptions = {
+  /** the time to live in seconds */
+  ttl?: number;
+  /** tags to invalidate the key with `invalidateTag` */
+  tags?: string[];
+  /** the idle time to live in seconds, see `stdTTI` */
+  tti?: number;
+};
+
+export type Stats = {
+  hits: number;
+  misses: number;
+  keys: number;
+  ksize: number;
+  vsize: number;
+  evictions: number;
+  loads: number;
+  loadErrors: number;
+  sets: number;
+  deletes: number;
+  expired: number;
+};
+
+// ## emptyStats
+//
+// internal helper to create a fresh statistics container
+function emptyStats(): Stats {
+  return {
+    hits: 0,
+    misses: 0,
+    keys: 0,
+    ksize: 0,
+    vsize: 0,
+    evictions: 0,
+    loads: 0,
+    loadErrors: 0,
+    sets: 0,
+    deletes: 0,
+    expired: 0,
+  };
+}
+
+/**
+ * Serializable copy of the cache contents as returned by `dump`.
+ */
+export type Snapshot = {
+  version: number;
+  /** all live entries with their absolute expiry */
+  entries: StoredEntry[];
+  /** arguments of the scheduled background refreshes, `NodeCacheTs` only */
+  refreshArgs?: StoredEntry[];
+};
+
+export type SnapshotSection = "entries" | "refreshArgs";
+
+export type LoadOptions = {
+  /** keep the current entries, entries already in the cache win over the snapshot */
+  merge?: boolean;
+  /** do not load entries that expired since the snapshot was taken (default) */
+  skipExpired?: boolean;
+};
+
+const SNAPSHOT_VERSION = 1;
+
+// ## globToRegExp
+//
+// internal helper to convert a glob pattern into a RegExp matching the whole key
+function globToRegExp(glob: string) {
+  const source = glob
+    .split("")
+    .map((char) => {
+      if (char === "*") {
+        return ".*";
+      }
+      if (char === "?") {
+        return ".";
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${source}$`, "s");
+}
+
+type NegativeEntry = {
+  error: unknown;
+  /** timestamp in ms until the error is remembered */
+  t: number;
 };
 
 export default class NodeCache<VT> extends EventEmitter {
   options: Required<Options>;
-  data: Data<VT> = {};
-  stats: {
-    hits: number;
-    misses: number;
-    keys: number;
-    ksize: number;
-    vsize: number;
-  };
+  data: Data<VT> = new Map();
+  stats: Stats;
   validKeyTypes = ["string", "number"];
-  checkTimeout: NodeJS.Timeout | null = null;
+  housekeeper: Housekeeper;
+  private _eviction: EvictionTracker | null;
+  private _budget: SharedBudget | null = null;
+  private _namespaces = new Map<string, NodeCache<VT>>();
+  private _unsubscribe: (() => void) | null = null;
+  private _muted = false;
+  private _pendingLoads = new Map<Key, Promise<VT | string>>();
+  // true while an expired key is deleted, running loads of it are left alone
+  _expiring = false;
+  private _negative = new Map<Key, NegativeEntry>();
+  private _tags = new Map<string, Set<Key>>();
 
   constructor(options: Options = {}) {
     super();
@@ -104,22 +336,48 @@ export default class NodeCache<VT> extends EventEmitter {
       promiseValueSize: 80,
       arrayValueSize: 40,
       stdTTL: 0,
+      stdTTI: 0,
       //fix
       checkperiod: 60,
       useClones: true,
       deleteOnExpire: true,
       maxKeys: -1,
+      evictionPolicy: "none",
+      maxSize: -1,
+      sizeCalculation: null,
+      strictKeys: false,
+      loadErrorTTL: 0,
+      storage: null,
+      housekeeper: null,
+      sharedBudget: false,
+      invalidationBus: null,
+      metricsLabels: {},
+      instrumentation: null,
       ...options,
     };
 
     // statistics container
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      keys: 0,
-      ksize: 0,
-      vsize: 0,
-    };
+    this.stats = emptyStats();
+
+    // keeps the eviction order of the keys if a policy is set
+    this._eviction = createEvictionTracker(this.options.evictionPolicy);
+
+    // the limits of this cache apply to its namespaces as well
+    if (this.options.sharedBudget) {
+      this._joinBudget(new SharedBudget(this.options));
+    }
+
+    this.housekeeper = this.options.housekeeper ?? new Housekeeper();
+    this.housekeeper.attach(this);
+
+    // restore the entries that survived a restart
+    this._rehydrate();
+
+    // apply the invalidations of the other processes
+    this._unsubscribe =
+      this.options.invalidationBus?.subscribe((message) => {
+        this._applyInvalidation(message);
+      }) ?? null;
 
     // initalize checking period
     this._checkData();
@@ -144,10 +402,12 @@ export default class NodeCache<VT> extends EventEmitter {
       throw err;
     }
 
-    const value = this.data[key];
+    const value = this.data.get(this._mapKey(key));
     // get data and increment stats
-    if (value && this._check(key, value)) {
+    if (value && this._check(value)) {
       this.stats.hits++;
+      this._eviction?.touch(this._mapKey(key));
+      this._slide(this._mapKey(key), value);
       const _ret = this._unwrap(value);
       // return data
       return _ret;
@@ -190,9 +450,11 @@ export default class NodeCache<VT> extends EventEmitter {
       }
 
       // get data and increment stats
-      const value = this.data[key];
-      if (value && this._check(key, value)) {
+      const value = this.data.get(this._mapKey(key));
+      if (value && this._check(value)) {
         this.stats.hits++;
+        this._eviction?.touch(this._mapKey(key));
+        this._slide(this._mapKey(key), value);
         oRet[key] = this._unwrap(value);
       } else {
         // if not found return a error
@@ -212,7 +474,7 @@ export default class NodeCache<VT> extends EventEmitter {
   //
   // * `key` ( String | Number ): cache key
   // * `value` ( Any ): An element to cache. If the option `option.forceString` is `true` the module trys to translate it to a serialized JSON
-  // * `[ ttl ]` ( Number | String ): ( optional ) The time to live in seconds.
+  // * `[ ttl ]` ( Number | Object ): ( optional ) The time to live in seconds or `{ ttl, tti, tags }`.
   //
   // **Example:**
   //
@@ -220,12 +482,30 @@ export default class NodeCache<VT> extends EventEmitter {
   //
   //	myCache.set "myKey", "my_String Value", 10
   //
-  set(key: Key, value: VT, ttl = this.options.stdTTL) {
-    // check if cache is overflowing
+  //	myCache.set "myKey", "my_String Value", { ttl: 10, tags: [ "user:42" ] }
+  //
+  //	myCache.set "session", session, { ttl: 3600, tti: 300 }
+  //
+  set(
+    key: Key,
+    value: VT,
+    ttlOrOptions: number | SetOptions | null = this.options.stdTTL,
+  ) {
     let err = this._isInvalidKey(key);
-    if (this.options.maxKeys > -1 && this.stats.keys >= this.options.maxKeys) {
-      const _err = this._error("ECACHEFULL", "Cache max keys amount exceeded");
-      throw _err;
+    // a null ttl falls back to the defaults like an omitted one
+    const setOptions: SetOptions =
+      ttlOrOptions === null
+        ? {}
+        : typeof ttlOrOptions === "object"
+          ? ttlOrOptions
+          : { ttl: ttlOrOptions };
+    const {
+      ttl = this.options.stdTTL,
+      tti = this.options.stdTTI,
+      tags,
+    } = setOptions;
+    if (tags !== undefined && !Array.isArray(tags)) {
+      throw this._error("ETAGSTYPE", "The tags option has to be an array.");
     }
 
     //force the data to string
@@ -242,23 +522,62 @@ export default class NodeCache<VT> extends EventEmitter {
     // internal helper variables
     let existent = false;
 
-    const oldValue = this.data[key];
+    const mapKey = this._mapKey(key);
+    const oldValue = this.data.get(mapKey);
+    const oldSize = oldValue
+      ? this._getValLength(this._unwrap(oldValue, false), key)
+      : 0;
+    const newSize = this._getValLength(normalizedValue, key);
+
+    // an entry that can never fit must not flush the whole cache
+    if (
+      this.options.maxSize > -1 &&
+      this._getKeyLength(key) + newSize > this.options.maxSize
+    ) {
+      throw this._error(
+        "ECACHESIZE",
+        "Cache entry is bigger than the max size of the cache",
+      );
+    }
+
+    // check if cache is overflowing and make room if possible
+    this._ensureCapacity(
+      key,
+      !oldValue,
+      newSize - oldSize + (oldValue ? 0 : this._getKeyLength(key)),
+    );
+
     // remove existing data from stats
     if (oldValue) {
       existent = true;
-      this.stats.vsize -= this._getValLength(this._unwrap(oldValue, false));
+      this.stats.vsize -= oldSize;
     }
 
     // set the value
-    this.data[key] = this._wrap(normalizedValue, ttl);
-    this.stats.vsize += this._getValLength(normalizedValue);
+    const wrapped = this._wrap(key, normalizedValue, ttl, true, tti);
+    if (tags?.length) {
+      wrapped.tags = tags;
+    }
+    if (oldValue) {
+      this._unindexTags(mapKey, oldValue);
+    }
+    this._indexTags(mapKey, wrapped);
+    this.data.set(mapKey, wrapped);
+    this.options.storage?.set(mapKey, wrapped);
+    this._scheduleExpiry(mapKey, wrapped.t);
+    this._negative.delete(mapKey);
+    this.stats.vsize += newSize;
 
     // only add the keys and key-size if the key is new
     if (!existent) {
       this.stats.ksize += this._getKeyLength(key);
       this.stats.keys++;
+      this._eviction?.add(mapKey);
+    } else {
+      this._eviction?.touch(mapKey);
     }
 
+    this.stats.sets++;
     this.emit("set", key, normalizedValue);
 
     // return true
@@ -291,6 +610,101 @@ export default class NodeCache<VT> extends EventEmitter {
     return _ret;
   }
 
+  // ## fetchAsync
+  //
+  // async version of `fetch`. On a cache miss the loader is awaited and its result is written to the cache.
+  // Concurrent calls for the same key share one pending load. A rejected load is not cached
+  // unless `options.loadErrorTTL` is set, in that case the error is rethrown until it expires.
+  //
+  // **Parameters:**
+  //
+  // * `key` ( String | Number ): cache key
+  // * `loader` ( Function ): returns the value or a promise of it
+  // * `[ ttl ]` ( Number ): ( optional ) The time to live in seconds.
+  //
+  // **Example:**
+  //
+  //	await myCache.fetchAsync "myKey", () => fetchUser( 42 ), 10
+  //
+  async fetchAsync(
+    key: Key,
+    loader: () => VT | Promise<VT>,
+    ttl: number = this.options.stdTTL,
+  ): Promise<VT | string> {
+    let err = this._isInvalidKey(key);
+    if (err) {
+      throw err;
+    }
+    const operation = this._startOperation("fetchAsync", key, {
+      "cache.refresh.background": false,
+    });
+
+    // check if cache is hit
+    if (this.has(key)) {
+      this._endOperation(operation, "hit");
+      return this.get(key) as VT | string;
+    }
+
+    const mapKey = this._mapKey(key);
+    const pending = this._pendingLoads.get(mapKey);
+    if (pending) {
+      return this._traceResult(operation, "coalesced", pending);
+    }
+
+    const negative = this._negative.get(mapKey);
+    if (negative) {
+      if (negative.t > Date.now()) {
+        this._endOperation(operation, "negative", negative.error);
+        throw negative.error;
+      }
+      this._negative.delete(mapKey);
+    }
+
+    const load: Promise<VT | string> = Promise.resolve()
+      .then(loader)
+      .then(
+        (value) => {
+          this.stats.loads++;
+          // a load dropped by `del`, `flushAll` or `close` must not bring the key back
+          if (this._pendingLoads.get(mapKey) === load) {
+            this.set(key, value, ttl);
+          }
+          return value;
+        },
+        (error: unknown) => {
+          this.stats.loadErrors++;
+          if (
+            this.options.loadErrorTTL > 0 &&
+            this._pendingLoads.get(mapKey) === load
+          ) {
+            this._negative.set(mapKey, {
+              error,
+              t: Date.now() + this.options.loadErrorTTL * 1000,
+            });
+          }
+          throw error;
+        },
+      )
+      .finally(() => {
+        if (this._pendingLoads.get(mapKey) === load) {
+          this._pendingLoads.delete(mapKey);
+        }
+      });
+    this._pendingLoads.set(mapKey, load);
+    return this._traceResult(operation, "loaded", load);
+  }
+
+  // ## getOrSet
+  //
+  // alias of `fetchAsync`
+  getOrSet(
+    key: Key,
+    loader: () => VT | Promise<VT>,
+    ttl: number = this.options.stdTTL,
+  ) {
+    return this.fetchAsync(key, loader, ttl);
+  }
+
   // ## mset
   //
   // set multiple keys at once
@@ -320,6 +734,7 @@ export default class NodeCache<VT> extends EventEmitter {
       ttl: number,
       val: VT;
     if (
+      this._eviction === null &&
       this.options.maxKeys > -1 &&
       this.stats.keys + keyValueSet.length >= this.options.maxKeys
     ) {
@@ -384,25 +799,112 @@ export default class NodeCache<VT> extends EventEmitter {
       if (err) {
         throw err;
       }
-      const dataValue = this.data[key];
+      const mapKey = this._mapKey(key);
+      const dataValue = this.data.get(mapKey);
+      // forget a cached load error as well
+      this._negative.delete(mapKey);
+      if (!this._expiring) {
+        this._pendingLoads.delete(mapKey);
+      }
       // only delete if existent
       if (dataValue) {
         // calc the stats
-        this.stats.vsize -= this._getValLength(this._unwrap(dataValue, false));
+        this.stats.vsize -= this._getValLength(
+          this._unwrap(dataValue, false),
+          key,
+        );
         this.stats.ksize -= this._getKeyLength(key);
         this.stats.keys--;
+        this.stats.deletes++;
         delCount++;
         // delete the value
-        const oldVal = this.data[key];
-        delete this.data[key];
+        this._unindexTags(mapKey, dataValue);
+        this.data.delete(mapKey);
+        this.options.storage?.delete(mapKey);
+        this._eviction?.remove(mapKey);
         // return true
-        this.emit("del", key, oldVal?.v);
+        this.emit("del", key, dataValue.v);
       }
     }
 
+    this._broadcast({ type: "del", keys: keysArr });
     return delCount;
   }
 
+  // ## invalidateTag
+  //
+  // remove all keys set with the given tag(s)
+  //
+  // **Parameters:**
+  //
+  // * `tags` ( String | String[] ): a tag or an array of tags
+  //
+  // **Return**
+  //
+  // ( Number ): Number of deleted keys
+  //
+  // **Example:**
+  //
+  //	myCache.invalidateTag( "user:42" )
+  //
+  invalidateTag(tags: string | string[]) {
+    const tagsArr = Array.isArray(tags) ? tags : [tags];
+    const keys = new Set<Key>();
+    for (const tag of tagsArr) {
+      for (const mapKey of this._tags.get(tag) ?? []) {
+        const value = this.data.get(mapKey);
+        if (value) {
+          keys.add(value.k);
+        }
+      }
+    }
+    const deleted = this._withoutBroadcast(() => {
+      return this.del(Array.from(keys));
+    });
+    this._broadcast({ type: "invalidateTag", tags: tagsArr });
+    return deleted;
+  }
+
+  // ## delByPattern
+  //
+  // remove all keys matching a glob pattern (`*` any characters, `?` one character) or a regular expression
+  //
+  // **Parameters:**
+  //
+  // * `pattern` ( String | RegExp ): the pattern the whole key has to match
+  //
+  // **Return**
+  //
+  // ( Number ): Number of deleted keys
+  //
+  // **Example:**
+  //
+  //	myCache.delByPattern( "user:42:*" )
+  //
+  delByPattern(pattern: string | RegExp) {
+    const regExp =
+      typeof pattern === "string" ? globToRegExp(pattern) : pattern;
+    const keys: Key[] = [];
+    for (const value of this.data.values()) {
+      // a global or sticky RegExp would continue at its last match
+      regExp.lastIndex = 0;
+      if (regExp.test(value.k.toString())) {
+        keys.push(value.k);
+      }
+    }
+    const deleted = this._withoutBroadcast(() => {
+      return this.del(keys);
+    });
+    this._broadcast({
+      type: "delByPattern",
+      pattern:
+        typeof pattern === "string"
+          ? pattern
+          : { source: pattern.source, flags: pattern.flags },
+    });
+    return deleted;
+  }
+
   // ## take
   //
   // get the cached value and remove the key from the cache.
@@ -460,12 +962,25 @@ export default class NodeCache<VT> extends EventEmitter {
       throw err;
     }
 
-    const dataValue = this.data[key];
+    const mapKey = this._mapKey(key);
+    const dataValue = this.data.get(mapKey);
     // check for existent data and update the ttl value
-    if (dataValue && this._check(key, dataValue)) {
+    if (dataValue && this._check(dataValue)) {
       // if ttl < 0 delete the key. otherwise reset the value
       if (ttl >= 0) {
-        this.data[key] = this._wrap(dataValue.v, ttl, false);
+        const wrapped = this._wrap(
+          dataValue.k,
+          dataValue.v,
+          ttl,
+          false,
+          dataValue.tti,
+        );
+        if (dataValue.tags) {
+          wrapped.tags = dataValue.tags;
+        }
+        this.data.set(mapKey, wrapped);
+        this.options.storage?.set(mapKey, wrapped);
+        this._scheduleExpiry(mapKey, wrapped.t);
       } else {
         this.del(key);
       }
@@ -504,8 +1019,9 @@ export default class NodeCache<VT> extends EventEmitter {
     }
 
     // check for existant data and update the ttl value
-    if (this.data[key] && this._check(key, this.data[key])) {
-      const _ttl = this.data[key]?.t;
+    const dataValue = this.data.get(this._mapKey(key));
+    if (dataValue && this._check(dataValue)) {
+      const _ttl = dataValue.t;
       return _ttl;
     } else {
       // return undefined if key has not been found
@@ -519,19 +1035,57 @@ export default class NodeCache<VT> extends EventEmitter {
   //
   // **Return**
   //
-  // ( Array ): An array of all keys
+  // ( Array ): An array of all keys as they were given to `set`
   //
   // **Example:**
   //
   //     _keys = myCache.keys()
   //
-  //     # [ "foo", "bar", "fizz", "buzz", "anotherKeys" ]
+  //     # [ "foo", "bar", "fizz", "buzz", "anotherKeys", 42 ]
   //
   keys() {
-    const _keys = Object.keys(this.data);
+    const _keys = Array.from(this.data.values(), (value) => {
+      return value.k;
+    });
     return _keys;
   }
 
+  // ## entries
+  //
+  // iterate over all valid key value pairs. Expired keys are skipped and stats are not changed.
+  //
+  // **Example:**
+  //
+  //     for (const [key, value] of myCache.entries()) { ... }
+  //
+  //     for (const [key, value] of myCache) { ... }
+  //
+  *entries(): IterableIterator<[Key, VT | string]> {
+    for (const value of this.data.values()) {
+      if (this._check(value)) {
+        yield [value.k, this._unwrap(value)];
+      }
+    }
+  }
+
+  // ## values
+  //
+  // iterate over all valid values. Expired keys are skipped and stats are not changed.
+  //
+  // **Example:**
+  //
+  //     const all = [...myCache.values()]
+  //
+  *values(): IterableIterator<VT | string> {
+    for (const [, value] of this.entries()) {
+      yield value;
+    }
+  }
+
+  [Symbol.iterator]() {
+    return this.entries();
+  }
+
   // ## has
   //
   // Check if a key is cached
@@ -551,7 +1105,11 @@ export default class NodeCache<VT> extends EventEmitter {
   //     # true
   //
   has(key: Key) {
-    const _exists = !!this.data[key] && this._check(key, this.data[key]);
+    const value = this.data.get(this._mapKey(key));
+    const _exists = !!value && this._check(value);
+    if (value && _exists) {
+      this._slide(this._mapKey(key), value);
+    }
     return _exists;
   }
 
@@ -575,13 +1133,31 @@ export default class NodeCache<VT> extends EventEmitter {
   //     # misses: 0,
   //     # keys: 0,
   //     # ksize: 0,
-  //     # vsize: 0
+  //     # vsize: 0,
+  //     # evictions: 0,
+  //     # loads: 0,
+  //     # loadErrors: 0,
+  //     # sets: 0,
+  //     # deletes: 0,
+  //     # expired: 0
   //     # }
   //
   getStats() {
     return this.stats;
   }
 
+  // ## metrics
+  //
+  // render the stats of this cache and its namespaces as OpenMetrics text
+  //
+  // **Example:**
+  //
+  //     http.createServer( ( req, res ) => res.end( myCache.metrics() ) )
+  //
+  metrics() {
+    return renderMetrics([this]);
+  }
+
   // ## flushAll
   //
   // flush the whole data and reset the stats
@@ -596,34 +1172,40 @@ export default class NodeCache<VT> extends EventEmitter {
   //     # misses: 0,
   //     # keys: 0,
   //     # ksize: 0,
-  //     # vsize: 0
+  //     # vsize: 0,
+  //     # evictions: 0,
+  //     # loads: 0,
+  //     # loadErrors: 0,
+  //     # sets: 0,
+  //     # deletes: 0,
+  //     # expired: 0
   //     # }
   //
   flushAll(_startPeriod: boolean = true) {
     // parameter just for testing
 
     // set data empty
-    this.data = {};
+    this.data = new Map();
+    this._tags.clear();
+    this.options.storage?.clear();
+    this._eviction?.clear();
+    this._negative.clear();
+    this._pendingLoads.clear();
 
     // reset stats
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      keys: 0,
-      ksize: 0,
-      vsize: 0,
-    };
+    this.stats = emptyStats();
 
     // reset check period
     this._killCheckPeriod();
     this._checkData(_startPeriod);
 
+    this._broadcast({ type: "flushAll" });
     this.emit("flush");
   }
 
   // ## flushStats
   //
-  // flush the stats and reset all counters to 0
+  // flush the stats and reset all counters to 0. `keys`, `ksize` and `vsize` keep describing the stored keys
   //
   // **Example:**
   //
@@ -633,24 +1215,145 @@ export default class NodeCache<VT> extends EventEmitter {
   //     # {
   //     # hits: 0,
   //     # misses: 0,
-  //     # keys: 0,
-  //     # ksize: 0,
-  //     # vsize: 0
+  //     # keys: 2,
+  //     # ksize: 8,
+  //     # vsize: 20,
+  //     # evictions: 0,
+  //     # loads: 0,
+  //     # loadErrors: 0,
+  //     # sets: 0,
+  //     # deletes: 0,
+  //     # expired: 0
   //     # }
   //
   flushStats() {
-    // reset stats
-    this.stats = {
-      hits: 0,
-      misses: 0,
-      keys: 0,
-      ksize: 0,
-      vsize: 0,
-    };
+    // reset the counters, the sizes describe the stored keys and enforce the limits
+    const { keys, ksize, vsize } = this.stats;
+    this.stats = { ...emptyStats(), keys, ksize, vsize };
 
     this.emit("flush_stats");
   }
 
+  // ## dump
+  //
+  // create a serializable snapshot of all live entries including their absolute expiry
+  //
+  // **Example:**
+  //
+  //     fs.writeFileSync( "cache.json", JSON.stringify( myCache.dump() ) )
+  //
+  dump(): Snapshot {
+    const snapshot: Snapshot = { version: SNAPSHOT_VERSION, entries: [] };
+    for (const [section, entry] of this._snapshotRecords()) {
+      (snapshot[section] ??= []).push(entry);
+    }
+    return snapshot;
+  }
+
+  // ## load
+  //
+  // restore a snapshot created by `dump`. Unless `merge` is set the cache is flushed first.
+  //
+  // **Parameters:**
+  //
+  // * `snapshot` ( Object ): snapshot as returned by `dump`
+  // * `[ options ]` ( Object ): `{ merge, skipExpired }`
+  //
+  // **Return**
+  //
+  // ( Number ): Number of loaded entries
+  //
+  // **Example:**
+  //
+  //     myCache.load( JSON.parse( fs.readFileSync( "cache.json" ) ), { merge: true } )
+  //
+  load(snapshot: Snapshot, options: LoadOptions = {}) {
+    this._checkSnapshotVersion(snapshot.version);
+    if (!options.merge) {
+      // replacing the contents is local to this cache
+      this._withoutBroadcast(() => {
+        this.flushAll();
+      });
+    }
+    let loaded = 0;
+    const sections: SnapshotSection[] = ["entries", "refreshArgs"];
+    for (const section of sections) {
+      for (const entry of snapshot[section] ?? []) {
+        if (this._applyRecord(section, entry, options)) {
+          loaded++;
+        }
+      }
+    }
+    return loaded;
+  }
+
+  // ## dumpStream
+  //
+  // same as `dump` as a stream of JSON lines, the first line holds the version.
+  // Entries are read while the stream is consumed, so large caches are never copied at once.
+  //
+  // **Example:**
+  //
+  //     myCache.dumpStream().pipe( fs.createWriteStream( "cache.ndjson" ) )
+  //
+  dumpStream(): Readable {
+    const records = this._snapshotRecords();
+    return Readable.from(
+      (function* () {
+        yield JSON.stringify({ version: SNAPSHOT_VERSION }) + "\n";
+        for (const [section, entry] of records) {
+          yield JSON.stringify({ section, entry }) + "\n";
+        }
+      })(),
+    );
+  }
+
+  // ## loadStream
+  //
+  // restore a snapshot written by `dumpStream`. Takes the same options as `load`.
+  //
+  // **Example:**
+  //
+  //     await myCache.loadStream( fs.createReadStream( "cache.ndjson" ) )
+  //
+  async loadStream(input: Readable, options: LoadOptions = {}) {
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    let loaded = 0;
+    let header = true;
+    for await (const line of lines) {
+      if (line === "") {
+        continue;
+      }
+      let record: unknown;
+      try {
+        record = JSON.parse(line);
+      } catch {
+        throw this._error("ESNAPSHOT", "The snapshot contains invalid JSON.");
+      }
+      if (header) {
+        header = false;
+        this._checkSnapshotVersion((record as { version?: number }).version);
+        if (!options.merge) {
+          this._withoutBroadcast(() => {
+            this.flushAll();
+          });
+        }
+        continue;
+      }
+      const { section, entry } = record as {
+        section: SnapshotSection;
+        entry: StoredEntry;
+      };
+      if (this._applyRecord(section, entry, options)) {
+        loaded++;
+      }
+    }
+    if (header) {
+      throw this._error("ESNAPSHOT", "The snapshot is empty.");
+    }
+    return loaded;
+  }
+
   // ## close
   //
   // This will clear the interval timeout which is set on checkperiod option.
@@ -660,53 +1363,628 @@ export default class NodeCache<VT> extends EventEmitter {
   //     myCache.close()
   //
   close() {
+    this._unsubscribe?.();
+    this._unsubscribe = null;
     this._killCheckPeriod();
+    this.housekeeper.detach(this);
+    this._budget?.members.delete(this);
+    this._pendingLoads.clear();
+    for (const namespace of this._namespaces.values()) {
+      namespace.close();
+    }
+  }
+
+  // ## namespace
+  //
+  // get a cache with its own keys, stats and `flushAll`, created on first use.
+  // It runs on the housekeeper of this cache and shares its budget if `sharedBudget` is set.
+  //
+  // **Parameters:**
+  //
+  // * `name` ( String ): name of the namespace
+  // * `[ options ]` ( Object ): ( optional ) options overriding the ones of this cache on creation
+  //
+  // **Example:**
+  //
+  //     users = myCache.namespace( "users" )
+  //
+  namespace(name: string, options: Options = {}): NodeCache<VT> {
+    let namespace = this._namespaces.get(name);
+    if (!namespace) {
+      namespace = this._createNamespace({
+        ...this.options,
+        storage: null,
+        sharedBudget: false,
+        invalidationBus: null,
+        ...options,
+        metricsLabels: {
+          ...this.options.metricsLabels,
+          namespace: name,
+          ...options.metricsLabels,
+        },
+        housekeeper: this.housekeeper,
+      });
+      if (this._budget) {
+        namespace._joinBudget(this._budget);
+      }
+      this._namespaces.set(name, namespace);
+    }
+    return namespace;
+  }
+
+  // ## _createNamespace
+  //
+  // internal method to create the cache of a namespace
+  _createNamespace(options: Options): NodeCache<VT> {
+    return new NodeCache<VT>(options);
+  }
+
+  // ## _joinBudget
+  //
+  // internal method to draw from a shared budget
+  _joinBudget(budget: SharedBudget) {
+    this._budget = budget;
+    budget.members.add(this);
+  }
+
+  // ## _withoutBroadcast
+  //
+  // internal method to run changes that are not sent to the invalidation bus
+  _withoutBroadcast<R>(fn: () => R): R {
+    const muted = this._muted;
+    this._muted = true;
+    try {
+      return fn();
+    } finally {
+      this._muted = muted;
+    }
+  }
+
+  // ## _broadcast
+  //
+  // internal method to send a change to the other processes
+  _broadcast(message: InvalidationMessage) {
+    if (!this._muted) {
+      this.options.invalidationBus?.publish(message);
+    }
+  }
+
+  // ## _applyInvalidation
+  //
+  // internal method to apply a change received from another process
+  _applyInvalidation(message: InvalidationMessage) {
+    this._withoutBroadcast(() => {
+      switch (message.type) {
+        case "del":
+          this.del(message.keys);
+          break;
+        case "flushAll":
+          this.flushAll();
+          break;
+        case "invalidateTag":
+          this.invalidateTag(message.tags);
+          break;
+        case "delByPattern":
+          this.delByPattern(
+            typeof message.pattern === "string"
+              ? message.pattern
+              : new RegExp(message.pattern.source, message.pattern.flags),
+          );
+          break;
+        default:
+          break;
+      }
+    });
+  }
+
+  // ## _startOperation
+  //
+  // internal method to report the start of an operation to the instrumentation.
+  // Returns `null` without instrumentation.
+  _startOperation(
+    name: OperationName,
+    key: Key,
+    attributes: OperationAttributes = {},
+  ): CacheOperation | null {
+    const { instrumentation } = this.options;
+    if (!instrumentation) {
+      return null;
+    }
+    const operation: CacheOperation = {
+      name,
+      key,
+      startTime: Date.now(),
+      attributes,
+    };
+    try {
+      instrumentation.onOperationStart?.(operation);
+    } catch {
+      // instrumentation must not break the cache
+    }
+    return operation;
+  }
+
+  // ## _endOperation
+  //
+  // internal method to report the outcome of an operation to the instrumentation
+  _endOperation(
+    operation: CacheOperation | null,
+    outcome: OperationOutcome,
+    error?: unknown,
+  ) {
+    if (!operation) {
+      return;
+    }
+    operation.outcome = outcome;
+    operation.duration = Date.now() - operation.startTime;
+    if (error !== undefined) {
+      operation.error = error;
+    }
+    Object.assign(operation.attributes, {
+      "cache.hit": outcome === "hit",
+      "cache.coalesced": outcome === "coalesced",
+      "cache.stale": outcome === "stale",
+    });
+    try {
+      this.options.instrumentation?.onOperationEnd?.(operation);
+    } catch {
+      // instrumentation must not break the cache
+    }
+  }
+
+  // ## _traceResult
+  //
+  // internal method to end an operation when its result settles
+  _traceResult<R>(
+    operation: CacheOperation | null,
+    outcome: OperationOutcome,
+    result: Promise<R>,
+  ): Promise<R> {
+    if (!operation) {
+      return result;
+    }
+    return result.then(
+      (value) => {
+        this._endOperation(operation, outcome);
+        return value;
+      },
+      (error: unknown) => {
+        const aborted = error instanceof Error && error.name === "EABORTED";
+        this._endOperation(operation, aborted ? "aborted" : "error", error);
+        throw error;
+      },
+    );
+  }
+
+  // ## _metricFamilies
+  //
+  // internal method to collect the metrics of this cache and its namespaces
+  _metricFamilies(): MetricFamily[] {
+    const labels = this.options.metricsLabels;
+    const counter = (name: string, help: string, value: number) => {
+      const family: MetricFamily = {
+        name: `node_cache_${name}`,
+        type: "counter",
+        help,
+        samples: [{ suffix: "_total", labels, value }],
+      };
+      return family;
+    };
+    const families: MetricFamily[] = [
+      counter("hits", "Reads that found the key.", this.stats.hits),
+      counter("misses", "Reads that did not find the key.", this.stats.misses),
+      counter("sets", "Stored values.", this.stats.sets),
+      counter(
+        "deletes",
+        "Deleted keys, including expired ones.",
+        this.stats.deletes,
+      ),
+      counter("expired", "Keys that expired.", this.stats.expired),
+      counter("evictions", "Keys evicted to make room.", this.stats.evictions),
+      counter("loads", "Values loaded by fetchAsync.", this.stats.loads),
+      counter(
+        "load_errors",
+        "Rejected fetchAsync loaders.",
+        this.stats.loadErrors,
+      ),
+      {
+        name: "node_cache_keys",
+        type: "gauge",
+        help: "Keys currently stored.",
+        samples: [{ suffix: "", labels, value: this.data.size }],
+      },
+      {
+        name: "node_cache_size_bytes",
+        type: "gauge",
+        unit: "bytes",
+        help: "Approximate size of the stored keys and values.",
+        samples: [
+          {
+            suffix: "",
+            labels,
+            value: this.stats.ksize + this.stats.vsize,
+          },
+        ],
+      },
+    ];
+    for (const namespace of this._namespaces.values()) {
+      families.push(...namespace._metricFamilies());
+    }
+    return families;
   }
 
   // ## _checkData
   //
   // internal housekeeping method.
-  // Check all the cached data and delete the invalid values
+  // Check the data that is due according to the expiry heap and delete the invalid values
   async _checkData(startPeriod: boolean = true) {
     // run the housekeeping method
-    for (let key in this.data) {
-      const value = this.data[key];
-      this._check(key, value);
+    const now = Date.now();
+    this.housekeeper.check(this);
+    // drop load errors that are not remembered anymore
+    for (const [mapKey, negative] of this._negative) {
+      if (negative.t <= now) {
+        this._negative.delete(mapKey);
+      }
     }
     if (startPeriod && this.options.checkperiod > 0) {
-      this.checkTimeout = setTimeout(() => {
-        this._checkData();
-      }, this.options.checkperiod);
-      // }, this.options.checkperiod * 1000);
-      this.checkTimeout.unref();
+      this.housekeeper.start(this);
+    }
+  }
+
+  // ## _expireEntry
+  //
+  // internal method called by the housekeeper when a key is due
+  _expireEntry(key: Key, t: number) {
+    const value = this.data.get(key);
+    // skip keys deleted or updated since the entry was scheduled
+    if (value && value.t === t) {
+      this._check(value);
+    }
+  }
+
+  // ## _scheduledExpiries
+  //
+  // internal method to list the expiry timestamps of all stored keys
+  *_scheduledExpiries(): Generator<ExpiryEntry<HousekeepingTarget>> {
+    for (const [mapKey, value] of this.data) {
+      if (value.t !== 0) {
+        yield { t: value.t, key: mapKey, owner: this };
+      }
     }
   }
 
+  // ## _scheduleExpiry
+  //
+  // internal method to register the expiry timestamp of a key
+  _scheduleExpiry(key: Key, t: number) {
+    if (t === 0) {
+      return;
+    }
+    this.housekeeper.schedule(this, key, t);
+  }
+
+  // ## _slide
+  //
+  // internal method to move the expiry of a sliding entry on a hit, limited by its absolute expiry
+  _slide(mapKey: Key, value: WrappedValue<VT>) {
+    const now = Date.now();
+    // an expired value kept by `deleteOnExpire: false` stays expired
+    if (!value.tti || (value.t !== 0 && value.t < now)) {
+      return;
+    }
+    const t = this._slidingExpiry(now, value.tti, value.cap ?? 0);
+    if (t === value.t) {
+      return;
+    }
+    // a new object, the storage may hold the previous one
+    const slid = { ...value, t };
+    this.data.set(mapKey, slid);
+    this._scheduleExpiry(mapKey, t);
+    // written through once the expiry moved by half the idle time, so a key in use survives a restart
+    const stored = this.options.storage?.get(mapKey);
+    if (stored && t - stored.t >= value.tti * 500) {
+      this.options.storage?.set(mapKey, slid);
+    }
+  }
+
+  // ## _slidingExpiry
+  //
+  // internal method to get the expiry of a sliding entry read at `now`
+  _slidingExpiry(now: number, tti: number, cap: number) {
+    const idle = now + tti * 1000;
+    return cap === 0 ? idle : Math.min(idle, cap);
+  }
+
   // ## _killCheckPeriod
   //
   // stop the checkdata period. Only needed to abort the script in testing mode.
   _killCheckPeriod() {
-    if (this.checkTimeout !== null) {
-      return clearTimeout(this.checkTimeout);
-    }
+    this.housekeeper.stop(this);
   }
 
   // ## _check
   //
   // internal method the check the value. If it's not valid any more delete it
-  _check(key: Key, data: WrappedValue<VT> | undefined) {
+  _check(data: WrappedValue<VT> | undefined) {
     let _retval = true;
     // data is invalid if the ttl is too old and is not 0
     if (data && data.t !== 0 && data.t < Date.now()) {
       if (this.options.deleteOnExpire) {
         _retval = false;
-        this.del(key);
+        this._expire(data.k);
       }
-      this.emit("expired", key, this._unwrap(data));
+      this.stats.expired++;
+      this.emit("expired", data.k, this._unwrap(data));
     }
     return _retval;
   }
 
+  // ## _expire
+  //
+  // internal method to delete an expired key. Every process expires its own keys
+  _expire(key: Key) {
+    const expiring = this._expiring;
+    this._expiring = true;
+    try {
+      this._withoutBroadcast(() => {
+        return this.del(key);
+      });
+    } finally {
+      this._expiring = expiring;
+    }
+  }
+
+  // ## _ensureCapacity
+  //
+  // internal method to make room for a write of `addedSize` bytes and possibly a new key.
+  // Evicts keys according to the eviction policy or throws `ECACHEFULL` / `ECACHESIZE` if there is none.
+  _ensureCapacity(key: Key, isNewKey: boolean, addedSize: number) {
+    const { maxKeys, maxSize } = this.options;
+    const budget = this._budget;
+    for (;;) {
+      let reason: string;
+      let shared = false;
+      if (isNewKey && maxKeys > -1 && this.stats.keys >= maxKeys) {
+        reason = "maxKeys";
+      } else if (
+        maxSize > -1 &&
+        this.stats.ksize + this.stats.vsize + addedSize > maxSize
+      ) {
+        reason = "maxSize";
+      } else if (
+        budget &&
+        isNewKey &&
+        budget.maxKeys > -1 &&
+        budget.keys() >= budget.maxKeys
+      ) {
+        reason = "maxKeys";
+        shared = true;
+      } else if (
+        budget &&
+        budget.maxSize > -1 &&
+        budget.size() + addedSize > budget.maxSize
+      ) {
+        reason = "maxSize";
+        shared = true;
+      } else {
+        return;
+      }
+
+      const mapKey = this._mapKey(key);
+      let evicted: boolean;
+      if (shared && budget) {
+        // the shared budget may be used up by other namespaces
+        evicted = budget.evict(this, mapKey, reason);
+      } else {
+        const victim = this._victim(mapKey);
+        evicted = victim !== undefined;
+        if (victim !== undefined) {
+          this._evict(victim, reason);
+        }
+      }
+      if (!evicted) {
+        throw reason === "maxKeys"
+          ? this._error("ECACHEFULL", "Cache max keys amount exceeded")
+          : this._error("ECACHESIZE", "Cache max size exceeded");
+      }
+    }
+  }
+
+  // ## _victim
+  //
+  // internal method to get the next key to evict according to the eviction policy
+  _victim(skip?: Key) {
+    return this._eviction?.victim(skip);
+  }
+
+  // ## _evict
+  //
+  // internal method to remove a key (as stored in `data`) to make room for another one
+  _evict(mapKey: Key, reason: string) {
+    const oldVal = this.data.get(mapKey);
+    if (!oldVal) {
+      // not stored anymore, just forget it
+      this._eviction?.remove(mapKey);
+      return;
+    }
+    this.stats.vsize -= this._getValLength(
+      this._unwrap(oldVal, false),
+      oldVal.k,
+    );
+    this.stats.ksize -= this._getKeyLength(oldVal.k);
+    this.stats.keys--;
+    this.stats.evictions++;
+    this._unindexTags(mapKey, oldVal);
+    this.data.delete(mapKey);
+    this.options.storage?.delete(mapKey);
+    this._eviction?.remove(mapKey);
+    this.emit("evicted", oldVal.k, oldVal.v, reason);
+  }
+
+  // ## _rehydrate
+  //
+  // internal method to load the entries of the storage adapter on construction.
+  // Expired entries and entries that do not fit into the limits are dropped from the storage
+  _rehydrate() {
+    const storage = this.options.storage;
+    if (!storage) {
+      return;
+    }
+    const now = Date.now();
+    const dropped: StoredEntry[] = [];
+    for (const entry of storage.iterate()) {
+      if (entry.t !== 0 && entry.t < now) {
+        dropped.push(entry);
+        continue;
+      }
+      try {
+        this._restore(entry);
+      } catch {
+        dropped.push(entry);
+      }
+    }
+    for (const entry of dropped) {
+      storage.delete(this._mapKey(entry.k));
+    }
+  }
+
+  // ## _restore
+  //
+  // internal method to add a new entry with its absolute expiry without writing it to the storage
+  _restore(entry: StoredEntry) {
+    const mapKey = this._mapKey(entry.k);
+    const value = entry.v as VT | string;
+    const keySize = this._getKeyLength(entry.k);
+    const valueSize = this._getValLength(value, entry.k);
+    this._ensureCapacity(entry.k, true, keySize + valueSize);
+
+    const wrapped: WrappedValue<VT> = { k: entry.k, t: entry.t, v: value };
+    if (entry.tags?.length) {
+      wrapped.tags = entry.tags;
+    }
+    if (entry.tti) {
+      wrapped.tti = entry.tti;
+      wrapped.cap = entry.cap ?? 0;
+    }
+    this._indexTags(mapKey, wrapped);
+    this.data.set(mapKey, wrapped);
+    this._scheduleExpiry(mapKey, entry.t);
+    this.stats.ksize += keySize;
+    this.stats.vsize += valueSize;
+    this.stats.keys++;
+    this._eviction?.add(mapKey);
+    return wrapped;
+  }
+
+  // ## _snapshotRecords
+  //
+  // internal method to list the entries of a snapshot by section
+  *_snapshotRecords(): Generator<[SnapshotSection, StoredEntry]> {
+    for (const value of this.data.values()) {
+      if (this._check(value)) {
+        const entry: StoredEntry = {
+          k: value.k,
+          t: value.t,
+          v: this._unwrap(value),
+        };
+        if (value.tags) {
+          entry.tags = value.tags;
+        }
+        if (value.tti) {
+          entry.tti = value.tti;
+          entry.cap = value.cap ?? 0;
+        }
+        yield ["entries", entry];
+      }
+    }
+  }
+
+  // ## _applyRecord
+  //
+  // internal method to load one snapshot entry. Returns `true` if it was added to the cache
+  _applyRecord(
+    section: SnapshotSection,
+    entry: StoredEntry,
+    options: LoadOptions,
+  ) {
+    const { skipExpired = true } = options;
+    if (section !== "entries") {
+      return false;
+    }
+    const err = this._isInvalidKey(entry.k);
+    if (err) {
+      throw err;
+    }
+    if (skipExpired && entry.t !== 0 && entry.t < Date.now()) {
+      return false;
+    }
+    const mapKey = this._mapKey(entry.k);
+    // entries already in the cache are newer than the snapshot
+    if (this.data.has(mapKey)) {
+      return false;
+    }
+    const wrapped = this._restore({
+      ...entry,
+      v: this.options.useClones ? structuredClone(entry.v) : entry.v,
+    });
+    this.options.storage?.set(mapKey, wrapped);
+    return true;
+  }
+
+  // ## _checkSnapshotVersion
+  //
+  // internal method to reject snapshots of an unknown format
+  _checkSnapshotVersion(version: unknown) {
+    if (version !== SNAPSHOT_VERSION) {
+      throw this._error(
+        "ESNAPSHOT",
+        `Unsupported snapshot version: \`${String(version)}\``,
+      );
+    }
+  }
+
+  // ## _indexTags
+  //
+  // internal method to add a stored value to the tag index
+  _indexTags(mapKey: Key, value: WrappedValue<VT>) {
+    for (const tag of value.tags ?? []) {
+      let keys = this._tags.get(tag);
+      if (!keys) {
+        keys = new Set();
+        this._tags.set(tag, keys);
+      }
+      keys.add(mapKey);
+    }
+  }
+
+  // ## _tagsOf
+  //
+  // internal method to get the tags a key was set with
+  _tagsOf(key: Key) {
+    return this.data.get(this._mapKey(key))?.tags;
+  }
+
+  // ## _unindexTags
+  //
+  // internal method to remove a stored value from the tag index
+  _unindexTags(mapKey: Key, value: WrappedValue<VT>) {
+    for (const tag of value.tags ?? []) {
+      const keys = this._tags.get(tag);
+      keys?.delete(mapKey);
+      if (keys?.size === 0) {
+        this._tags.delete(tag);
+      }
+    }
+  }
+
+  // ## _mapKey
+  //
+  // internal method to get the key used in `data`. Without `strictKeys` keys are compared as strings
+  _mapKey(key: Key): Key {
+    return this.options.strictKeys ? key : key.toString();
+  }
+
   // ## _isInvalidKey
   //
   // internal method to check if the type of a key is either `number` or `string`
@@ -723,9 +2001,11 @@ export default class NodeCache<VT> extends EventEmitter {
   //
   // internal method to wrap a value in an object with some metadata
   _wrap(
+    key: Key,
     value: VT | string,
     ttl: number | string,
     asClone: boolean = true,
+    tti: number = 0,
   ): WrappedValue<VT> {
     if (!this.options.useClones) {
       asClone = false;
@@ -750,11 +2030,20 @@ export default class NodeCache<VT> extends EventEmitter {
       }
     }
 
-    // return the wrapped value
-    return {
+    const wrapped: WrappedValue<VT> = {
+      k: key,
       t: livetime,
       v: asClone ? structuredClone(value) : value,
     };
+    // a sliding entry expires when idle or at its ttl, whichever comes first
+    if (tti > 0) {
+      wrapped.tti = tti;
+      wrapped.cap = livetime;
+      wrapped.t = this._slidingExpiry(now, tti, livetime);
+    }
+
+    // return the wrapped value
+    return wrapped;
   }
 
   // ## _unwrap
@@ -782,8 +2071,19 @@ export default class NodeCache<VT> extends EventEmitter {
   //
   // internal method to calculate the value length
   // eslint-disable-next-line @typescript-eslint/ban-types
-  _getValLength(value: VT | string) {
-    if (typeof value === "string") {
+  _getValLength(value: VT | string, key: Key) {
+    if (this.options.sizeCalculation) {
+      // user defined size replaces the heuristics below,
+      // a size that is no number would break the budget for good
+      const size = this.options.sizeCalculation(value, key);
+      if (typeof size !== "number" || !Number.isFinite(size) || size < 0) {
+        throw this._error(
+          "ESIZECALC",
+          "The sizeCalculation has to return a finite number >= 0.",
+        );
+      }
+      return size;
+    } else if (typeof value === "string") {
       // if the value is a String get the real length
       return value.length;
     } else if (this.options.forceString) {
@@ -1,5 +1,11 @@
 import { Serializable } from 'child_process';
-import NodeCache, { Options, Key } from './node_cache';
+import NodeCache, { Options, Key, Stats, LoadOptions, SnapshotSection } from './node_cache';
+import { StoredEntry } from './storage';
+import { CircuitBreaker, CircuitBreakerOptions, CircuitStats } from './circuit_breaker';
+import { L2Store } from './l2_store';
+import { Histogram, MetricFamily } from './metrics';
+import { CacheOperation } from './instrumentation';
+import { canonicalize, deriveKey } from './key';
 
 export type RefreshOptions = Options & {
     /** Time to refresh in seconds. If not prowided: 70% of defaultTTL if defaultTTL = 0 ttr = 10 minutes. */
@@ -8,8 +14,140 @@ export type RefreshOptions = Options & {
     retryOnError?: boolean;
     /** Pause between retry on error. */
     retryPause?: number;
+    /** How failed background refreshes are retried. Defaults to a fixed `retryPause` until ttl. */
+    retryPolicy?: RetryPolicy;
+    /** Stops calling the refresh method while it keeps failing. Disabled if not provided. */
+    circuitBreaker?: CircuitBreakerOptions;
+    /** Seconds after which a refresh method call is aborted and its callers get an `ETIMEOUT` error. 0 = no limit. */
+    refreshTimeout?: number;
     /** Will store clones of arguments. */
     argsUseClones?: boolean;
+    /** Seconds after expiry during which `call` returns the expired value at once and refreshes it in the background. */
+    staleWhileRevalidate?: number;
+    /** Seconds after expiry during which `call` returns the expired value if the refresh method fails. */
+    staleIfError?: number;
+    /** Seconds to wait for more keys before the batch refresh method is called. 0 = keys requested in the same tick. */
+    batchWindow?: number;
+    /** Max keys passed to one call of the batch refresh method. */
+    batchMaxSize?: number;
+    /** Slower tier asked before the refresh method, loaded values are written to it. Namespaces only use the one given to them. */
+    l2?: L2Store | null;
+    /** Derives the key of `call(args)`. Defaults to a hash of the canonical arguments, see `deriveKey`. */
+    keyFn?(args: {[key: string]: Serializable}): Key;
+    /** Reports `call`s of an explicit key with other arguments than the scheduled ones. Defaults to `NODE_ENV === 'development'`. */
+    detectKeyMismatch?: boolean;
+    /** Seconds without a `call` of a key after which it is no longer refreshed in the background. 0 = refreshed until ttl. */
+    idleTimeout?: number;
+    /** Refreshes a due key with the probability `1 - e^(-calls / refreshAhead)`, calls counted since its latest load. 0 = always. */
+    refreshAhead?: number;
+    /** Seconds a negative result of the refresh method is remembered, see `NegativeResult`. 0 = negative results are not cached. */
+    negativeTTL?: number;
+}
+
+/** Passed to the refresh method as second argument. */
+export type RefreshContext = {
+    /** Aborted on timeout or when the key is deleted, flushed or the cache is closed. */
+    signal: AbortSignal;
+    key: Key;
+    /** 1 for the first call, counts up for retries of background refreshes. */
+    attempt: number;
+}
+
+/** A key to load with the batch refresh method. */
+export type BatchEntry<A> = {
+    key: Key;
+    args: A;
+}
+
+/** Passed to the batch refresh method as second argument. */
+export type BatchContext = {
+    /** Aborted when all keys of the batch are aborted. */
+    signal: AbortSignal;
+}
+
+/**
+ * Loads many keys with one backend call. Resolves to the results by key (as given in the entries),
+ * an `Error` as value fails only its key, a missing key counts as `undefined` result.
+ */
+export type BatchRefreshMethod<A, T> = (entries: BatchEntry<A>[], context: BatchContext) => Promise<Map<Key, T | RefreshResult<T> | Error>>;
+
+/** Freshness of a loaded value in seconds. */
+export type EntryTiming = {
+    /** Time to live of the value, defaults to `stdTTL`. 0 = unlimited. */
+    ttl?: number;
+    /** Time to its next background refresh. Defaults to 70% of `ttl` if given, otherwise to the `ttr` of the cache. */
+    ttr?: number;
+}
+
+/**
+ * A value returned by the refresh method together with the freshness the backend reported,
+ * e.g. the `max-age` of a `Cache-Control` header. The hints win over the options of the call.
+ */
+export class RefreshResult<T> {
+    constructor(readonly value: T, readonly timing: EntryTiming) {}
+}
+
+/** `ttl` and `ttr` apply to the loads of the key, also to its background refreshes. */
+export type CallOptions = EntryTiming & {
+    /** Overrides `refreshTimeout` for this call. */
+    timeout?: number;
+    /** Tags stored with a loaded value, see `invalidateTag`. Background refreshes keep the tags of the key. */
+    tags?: string[];
+}
+
+/** How a key was read, see `getAccess`. */
+export type KeyAccess = {
+    /** Timestamp in ms of the latest `call` of the key. */
+    lastAccess: number;
+    /** `call`s of the key since its value was loaded. */
+    hits: number;
+}
+
+export type RetryPolicy = {
+    /** `fixed` waits `base` seconds before every retry, `exponential` doubles the pause with every attempt. */
+    strategy?: 'fixed' | 'exponential';
+    /** Pause before the first retry in seconds. Defaults to `retryPause`. */
+    base?: number;
+    /** Longest pause between retries in seconds. */
+    max?: number;
+    /** Fraction (0-1) of the pause that is randomized, so keys failing together do not retry together. */
+    jitter?: number;
+    /** Failed attempts after which the key is left to expire. 0 = retry until ttl. */
+    maxAttempts?: number;
+}
+
+export type CacheTsStats = Stats & {
+    /** `call`s answered from a remembered negative result. */
+    negativeHits: number;
+    /** Keys with a remembered negative result. */
+    negativeKeys: number;
+    /** Loads answered by the `l2` tier, `hits` only counts this cache. */
+    l2Hits: number;
+    /** Calls of the refresh method, one per key for batch refreshes. */
+    originLoads: number;
+    /** Successful calls of the refresh method. */
+    refreshes: number;
+    /** Failed calls of the refresh method, aborted calls are not counted. */
+    refreshErrors: number;
+    /** Due background refreshes left out because the key was idle or not read enough, see `idleTimeout` and `refreshAhead`. */
+    skippedRefreshes: number;
+    circuit?: CircuitStats;
+}
+
+type StaleValue<T> = {
+    value: T;
+    expiredAt: number;
+}
+
+/** A remembered miss (`undefined` result) or cacheable error of the refresh method. */
+type NegativeResult = {
+    error?: unknown;
+}
+
+type QueuedBatchEntry<A, T> = BatchEntry<A> & {
+    signal: AbortSignal;
+    resolve: (value: T | RefreshResult<T>) => void;
+    reject: (error: unknown) => void;
 }
 
 /**
@@ -17,76 +155,806 @@ export type RefreshOptions = Options & {
  * T is a type of the value to be cached
  */
 export class NodeCacheTs<A extends {[key: string]: Serializable}, T> extends NodeCache<T> {
-    refreshMethod: (args: A) => Promise<T>;
+    refreshMethod: (args: A, context: RefreshContext) => Promise<T | RefreshResult<T>>;
+    batchRefreshMethod: BatchRefreshMethod<A, T> | null;
     private _refreshArgsCache: NodeCache<A>;
-    private _runningCalls: {[key: string]: Promise<T>} = {};
+    private _runningCalls = new Map<Key, Promise<T>>();
+    private _runningControllers = new Map<Key, AbortController>();
+    private _staleCache: NodeCache<StaleValue<T>> | null = null;
+    private _negativeCache: NodeCache<NegativeResult> | null = null;
+    private _negativeHits = 0;
+    private _l2: L2Store | null;
+    private _l2Hits = 0;
+    private _originLoads = 0;
+    private _refreshes = 0;
+    private _refreshErrors = 0;
+    private _skippedRefreshes = 0;
+    private _refreshLatency = new Histogram();
+    private _refreshAttempts = new Map<Key, number>();
+    // `ttl` and `ttr` given to `call` per key
+    private _keyTimings = new Map<Key, EntryTiming>();
+    // `ttr` of the latest load per key, if not the one of the cache
+    private _entryTtrs = new Map<Key, number>();
+    private _access = new Map<Key, KeyAccess>();
+    private _breaker: CircuitBreaker | null = null;
+    private _batch: QueuedBatchEntry<A, T>[] = [];
+    private _batchTimer: NodeJS.Timeout | null = null;
     ttr: number;
     retryPause: number;
+    retryPolicy: Required<RetryPolicy>;
+    staleWhileRevalidate: number;
+    staleIfError: number;
+    refreshTimeout: number;
+    batchWindow: number;
+    batchMaxSize: number;
+    keyFn: (args: A) => Key;
+    detectKeyMismatch: boolean;
+    idleTimeout: number;
+    refreshAhead: number;
+    negativeTTL: number;
     ttrAsFractionOfTTL = 0.7;
     //default ttr if no 
     defaultTTR = 600;
     refreshOptions: RefreshOptions = {};
 
-    constructor(options: RefreshOptions = {}, refreshMethod: (args: A) => Promise<T> ) {
+    /**
+     * If `batchRefreshMethod` is given all keys are loaded through it and `refreshMethod` is not used.
+     */
+    constructor(options: RefreshOptions = {}, refreshMethod: (args: A, context: RefreshContext) => Promise<T | RefreshResult<T>>, batchRefreshMethod?: BatchRefreshMethod<A, T>) {
         super(options);
         this.refreshOptions = options;
         this.ttr = options.ttr || (options.stdTTL ? (options.stdTTL * this.ttrAsFractionOfTTL) : this.defaultTTR);
         // if error ocured wait given time or halve of time to refresh before next refresh
         this.retryPause = options.retryPause || Math.ceil(this.ttr/5);
+        this.retryPolicy = {
+            strategy: 'fixed',
+            base: this.retryPause,
+            max: Infinity,
+            jitter: 0,
+            maxAttempts: 0,
+            ...options.retryPolicy,
+        };
 
-        this._refreshArgsCache = new NodeCache<A>({stdTTL: this.ttr, checkperiod: options.checkperiod, useClones: this.refreshOptions.argsUseClones}).on( 'expired', ( key, value ) => {
+        this._refreshArgsCache = new NodeCache<A>({stdTTL: this.ttr, checkperiod: this.options.checkperiod, useClones: this.refreshOptions.argsUseClones, strictKeys: this.options.strictKeys, housekeeper: this.housekeeper}).on( 'expired', ( key, value ) => {
             this.refreshEntry(key, value);
         });
+        // evicted keys should not be refreshed in the background any more
+        this.on('evicted', (key: Key) => {
+            this._refreshArgsCache.del(key);
+            this._forgetKey(this._mapKey(key));
+        });
+        this.on('expired', (key: Key) => {
+            this._forgetKey(this._mapKey(key));
+        });
+
+        this.refreshTimeout = options.refreshTimeout || 0;
+        this.staleWhileRevalidate = options.staleWhileRevalidate || 0;
+        this.staleIfError = options.staleIfError || 0;
+        const staleTTL = Math.max(this.staleWhileRevalidate, this.staleIfError);
+        if (staleTTL > 0) {
+            // keep expired values around as long as any of the stale windows is open
+            this._staleCache = new NodeCache<StaleValue<T>>({stdTTL: staleTTL, checkperiod: this.options.checkperiod, useClones: this.options.useClones, strictKeys: this.options.strictKeys, housekeeper: this.housekeeper});
+            this.on('expired', (key: Key, value: T) => {
+                this._staleCache?.set(key, {value, expiredAt: Date.now()});
+            });
+        }
+        this.negativeTTL = options.negativeTTL || 0;
+        if (this.negativeTTL > 0) {
+            // errors are kept as they are, cloning would lose their prototype
+            this._negativeCache = new NodeCache<NegativeResult>({stdTTL: this.negativeTTL, checkperiod: this.options.checkperiod, useClones: false, strictKeys: this.options.strictKeys, housekeeper: this.housekeeper});
+            // a stored value replaces a negative result
+            this.on('set', (key: Key) => {
+                this._negativeCache?.del(key);
+            });
+        }
+        if (options.circuitBreaker) {
+            this._breaker = new CircuitBreaker(options.circuitBreaker).on('state_change', (state, previous) => {
+                this.emit('circuit_state_change', state, previous);
+            });
+        }
+        this.batchWindow = options.batchWindow || 0;
+        this.batchMaxSize = options.batchMaxSize || 100;
+        this._l2 = options.l2 || null;
+        this.keyFn = options.keyFn || deriveKey;
+        this.detectKeyMismatch = options.detectKeyMismatch ?? process.env.NODE_ENV === 'development';
+        this.idleTimeout = options.idleTimeout || 0;
+        this.refreshAhead = options.refreshAhead || 0;
         this.refreshMethod = refreshMethod;
+        this.batchRefreshMethod = batchRefreshMethod || null;
+    }
+
+    /**
+     * Returns the cached value of the key or loads it with the refresh method.
+     * Without a key it is derived from `args` with `keyFn`.
+     */
+    public call(args: A, options?: CallOptions): Promise<T>;
+    public call(key: Key, args: A, options?: CallOptions): Promise<T>;
+    public call(keyOrArgs: Key | A, argsOrOptions?: A | CallOptions, options: CallOptions = {}): Promise<T> {
+        if (typeof keyOrArgs === 'object') {
+            return this._call(this.keyFn(keyOrArgs), keyOrArgs, (argsOrOptions as CallOptions | undefined) || {});
+        }
+        const args = argsOrOptions as A;
+        if (this.detectKeyMismatch) {
+            this._checkKeyMismatch(keyOrArgs, args);
+        }
+        return this._call(keyOrArgs, args, options);
     }
 
-    public async call(key: Key, args: A): Promise<T> {
+    private async _call(key: Key, args: A, options: CallOptions): Promise<T> {
+        const operation = this._startOperation('call', key, {'cache.refresh.background': false});
         let response:T;
-        if (super.has(key)){
+        const timing = this._callTiming(options);
+        // an expired key forgets its timing in `has`
+        const cached = super.has(key);
+        if (cached){
+            this._rememberTiming(key, timing);
             response = super.get(key) as T;
+            this._endOperation(operation, 'hit');
         } else {
-            const waitingCall = this._runningCalls[key];
-            if(waitingCall){
-                response = await waitingCall;
+            const negative = this._negativeCache?.get(key) as NegativeResult | undefined;
+            if (negative) {
+                // remembered results are not refreshed in the background
+                this._negativeHits++;
+                this._endOperation(operation, 'negative', negative.error);
+                if ('error' in negative) {
+                    throw negative.error;
+                }
+                return undefined as T;
+            }
+            const stale = this._staleCache?.get(key) as StaleValue<T> | undefined;
+            const staleAge = stale ? (Date.now() - stale.expiredAt) / 1000 : Infinity;
+            if (stale && staleAge <= this.staleWhileRevalidate) {
+                // answer at once, the running call will store the fresh value
+                this._load(key, args, options.timeout, 1, options.tags, timing).catch((error: unknown) => {
+                    this.emit('refresh_error', error, key, args);
+                });
+                this.emit('stale_served', key, stale.value, 'revalidate');
+                this._endOperation(operation, 'stale');
+                response = stale.value;
             } else {
+                const coalesced = this._runningCalls.has(this._mapKey(key));
                 try {
-                    const promise = this.refreshMethod(args);
-                    this._runningCalls[key] = promise;
-                    response = await promise;
-                    super.set(key, response);
-                } finally {
-                    delete this._runningCalls[key];
+                    response = await this._load(key, args, options.timeout, 1, options.tags, timing);
+                    this._endOperation(operation, coalesced ? 'coalesced' : 'loaded');
+                } catch (error) {
+                    // with an open circuit any stale value is better than nothing
+                    const circuitOpen = this._isCircuitOpenError(error);
+                    // a cacheable error is an answer, it is rethrown as long as it is remembered
+                    if (!stale || (staleAge > this.staleIfError && !circuitOpen) || this._isNegative(key)) {
+                        this._endOperation(operation, this._isAbortedError(error) ? 'aborted' : 'error', error);
+                        throw error;
+                    }
+                    this.emit('stale_served', key, stale.value, circuitOpen ? 'circuit_open' : 'error');
+                    this._endOperation(operation, 'stale', error);
+                    response = stale.value;
                 }
             }
         }
+        // only keys holding a value are tracked, failed loads leave nothing behind
+        if (this.data.has(this._mapKey(key))) {
+            this._recordAccess(key, cached);
+        }
         // if no refresh sheduled schedule one
-        if (!this._refreshArgsCache.has(key)) {
-            this._refreshArgsCache.set(key, args);
+        if (!this._refreshArgsCache.has(key) && !this._isNegative(key)) {
+            this._refreshArgsCache.set(key, args, this._ttrOf(key));
         } 
         return await Promise.resolve(response);
     }
     
+    /**
+     * Loads a key with the refresh method now, even if it is cached. The cached value is still
+     * returned by `call` until the new one is stored. Joins a load already running for the key.
+     */
+    public async refresh(key: Key, args: A, options: CallOptions = {}): Promise<T> {
+        const response = await this._load(key, args, options.timeout, 1, options.tags, this._callTiming(options));
+        if (!this._isNegative(key)) {
+            this._refreshArgsCache.set(key, args, this._ttrOf(key));
+        }
+        return response;
+    }
+
+    /**
+     * How the key was read by `call`, undefined if it was not called since it was deleted or expired.
+     */
+    public getAccess(key: Key): KeyAccess | undefined {
+        const access = this._access.get(this._mapKey(key));
+        return access && {...access};
+    }
+
+    /**
+     * Calls many keys at once. Misses are loaded together if there is a batch refresh method.
+     * Resolves in the order of the entries, a failed key does not fail the others.
+     */
+    public async mcall(entries: BatchEntry<A>[], options: CallOptions = {}): Promise<PromiseSettledResult<T>[]> {
+        return Promise.allSettled(entries.map(({key, args}) => {
+            return this.call(key, args, options);
+        }));
+    }
+
     public flushAll(){
         super.flushAll();
         this._refreshArgsCache.flushAll();
+        this._staleCache?.flushAll();
+        this._negativeCache?.flushAll();
+        this._resetRefreshStats();
+        this._refreshAttempts.clear();
+        this._keyTimings.clear();
+        this._entryTtrs.clear();
+        this._access.clear();
+        this._abortRunningCalls(Array.from(this._runningControllers.keys()), 'Refresh aborted by flushAll');
     }
 
     public del(keys: Key | Key[]): number{
         this._refreshArgsCache.del(keys);
-        return super.del(keys);
+        this._staleCache?.del(keys);
+        this._negativeCache?.del(keys);
+        const keysArr = Array.isArray(keys) ? keys : [keys];
+        for (const key of keysArr) {
+            const mapKey = this._mapKey(key);
+            this._refreshAttempts.delete(mapKey);
+            this._forgetKey(mapKey);
+            // expired keys expire in the l2 tier on their own
+            const stored = this.data.get(mapKey);
+            if (stored && (stored.t === 0 || stored.t >= Date.now())) {
+                this._delL2(key);
+            }
+        }
+        const deleted = super.del(keys);
+        // a late response must not bring the key back,
+        // a load still running when the key expires stores it again
+        if (!this._expiring) {
+            this._abortRunningCalls(keysArr.map((key) => {
+                return this._mapKey(key);
+            }), 'Refresh aborted because the key was deleted');
+        }
+        return deleted;
+    }
+
+    public getStats(): CacheTsStats {
+        const stats: CacheTsStats = {
+            ...super.getStats(),
+            negativeHits: this._negativeHits,
+            negativeKeys: this._negativeCache?.getStats().keys || 0,
+            l2Hits: this._l2Hits,
+            originLoads: this._originLoads,
+            refreshes: this._refreshes,
+            refreshErrors: this._refreshErrors,
+            skippedRefreshes: this._skippedRefreshes,
+        };
+        if (this._breaker) {
+            stats.circuit = this._breaker.getStats();
+        }
+        return stats;
+    }
+
+    public flushStats() {
+        this._resetRefreshStats();
+        super.flushStats();
+    }
+
+    /**
+     * Adds the refresh activity to the metrics of the cache.
+     */
+    _metricFamilies(): MetricFamily[] {
+        const labels = this.options.metricsLabels;
+        const counter = (name: string, help: string, value: number): MetricFamily => {
+            return {name: `node_cache_${name}`, type: 'counter', help, samples: [{suffix: '_total', labels, value}]};
+        };
+        return [
+            ...super._metricFamilies(),
+            {name: 'node_cache_refreshes', type: 'counter', help: 'Calls of the refresh method by result.', samples: [
+                {suffix: '_total', labels: {...labels, result: 'success'}, value: this._refreshes},
+                {suffix: '_total', labels: {...labels, result: 'failure'}, value: this._refreshErrors},
+            ]},
+            {name: 'node_cache_refresh_duration_seconds', type: 'histogram', unit: 'seconds', help: 'Duration of the refresh method calls.', samples: this._refreshLatency.samples(labels)},
+            {name: 'node_cache_inflight_calls', type: 'gauge', help: 'Keys being loaded right now.', samples: [{suffix: '', labels, value: this._runningCalls.size}]},
+            counter('origin_loads', 'Keys passed to the refresh method.', this._originLoads),
+            counter('l2_hits', 'Loads answered by the l2 tier.', this._l2Hits),
+            counter('negative_hits', 'Calls answered from a negative result.', this._negativeHits),
+            counter('skipped_refreshes', 'Due background refreshes left out for keys not read enough.', this._skippedRefreshes),
+        ];
+    }
+
+    /**
+     * Namespaces load their keys with the refresh methods of this cache.
+     */
+    public namespace(name: string, options: RefreshOptions = {}): NodeCacheTs<A, T> {
+        // keys of different namespaces must not meet in the l2 tier
+        return super.namespace(name, {l2: null, ...options}) as NodeCacheTs<A, T>;
+    }
+
+    _createNamespace(options: Options): NodeCacheTs<A, T> {
+        return new NodeCacheTs<A, T>({...this.refreshOptions, ...options}, this.refreshMethod, this.batchRefreshMethod || undefined);
+    }
+
+    public close() {
+        super.close();
+        this._refreshArgsCache.close();
+        this._staleCache?.close();
+        this._negativeCache?.close();
+        this._abortRunningCalls(Array.from(this._runningControllers.keys()), 'Refresh aborted because the cache was closed');
+    }
+
+    /**
+     * Adds the arguments of the scheduled background refreshes to the snapshot.
+     */
+    *_snapshotRecords(): Generator<[SnapshotSection, StoredEntry]> {
+        yield* super._snapshotRecords();
+        for (const [, entry] of this._refreshArgsCache._snapshotRecords()) {
+            yield ['refreshArgs', entry];
+        }
+    }
+
+    /**
+     * Restores refresh arguments of loaded keys, so their background refresh resumes.
+     * Refreshes that became due since the snapshot was taken run at once.
+     */
+    _applyRecord(section: SnapshotSection, entry: StoredEntry, options: LoadOptions): boolean {
+        if (section !== 'refreshArgs') {
+            return super._applyRecord(section, entry, options);
+        }
+        if (super.has(entry.k)) {
+            this._refreshArgsCache._applyRecord('entries', entry, {merge: true, skipExpired: false});
+        }
+        return false;
     }
 
-    private async refreshEntry(key: string, args: A) {
+    /**
+     * Loads a key from the l2 tier or the refresh method and stores the result.
+     * Concurrent loads of the same key share one call.
+     */
+    private _load(key: Key, args: A, timeout = this.refreshTimeout, attempt = 1, tags?: string[], timing?: EntryTiming): Promise<T> {
+        const mapKey = this._mapKey(key);
+        const waitingCall = this._runningCalls.get(mapKey);
+        if (waitingCall) {
+            return waitingCall;
+        }
+        const controller = new AbortController();
+        let timer: NodeJS.Timeout | undefined;
+        if (timeout > 0) {
+            timer = setTimeout(() => {
+                controller.abort(this._error('ETIMEOUT', `Refresh of key \`${key}\` timed out after ${timeout}s`));
+            }, timeout * 1000);
+        }
+        const operation = this._startOperation('load', key, {'cache.refresh.attempt': attempt});
+        const promise = this._traceResult(operation, 'loaded', this._fetch(key, args, {signal: controller.signal, key, attempt}, tags, operation, timing)).finally(() => {
+            clearTimeout(timer);
+            if (this._runningCalls.get(mapKey) === promise) {
+                this._runningCalls.delete(mapKey);
+                this._runningControllers.delete(mapKey);
+            }
+        });
+        this._runningCalls.set(mapKey, promise);
+        this._runningControllers.set(mapKey, controller);
+        return promise;
+    }
+
+    /**
+     * `timing` is the `ttl` and `ttr` of the call, kept for the key once a value is stored.
+     */
+    private async _fetch(key: Key, args: A, context: RefreshContext, tags?: string[], operation?: CacheOperation | null, timing?: EntryTiming): Promise<T> {
+        // without a tier the refresh method is called in the same tick
+        const stored = this._l2 ? await this._getL2(this._l2, key, context.signal) : undefined;
+        if (operation) {
+            operation.attributes['cache.l2.hit'] = Boolean(stored);
+        }
+        if (stored) {
+            this._l2Hits++;
+            const value = stored.v as T;
+            // keep the expiry of the l2 tier
+            const ttl = stored.t === 0 ? 0 : (stored.t - Date.now()) / 1000;
+            super.set(key, value, {ttl, tags: tags || stored.tags || this._tagsOf(key)});
+            this._rememberTiming(key, timing);
+            this._rememberTtr(key, this._timingOf(key).ttr);
+            this._resetHits(key);
+            return value;
+        }
+        let result: T | RefreshResult<T>;
+        try {
+            result = await this._invokeRefresh(args, context);
+        } catch (error) {
+            if (this._negativeCache && this._isCacheableError(error)) {
+                this._storeNegative(key, {error});
+            }
+            throw error;
+        }
+        const response = result instanceof RefreshResult ? result.value : result;
+        if (response === undefined && this._negativeCache) {
+            this._storeNegative(key, {});
+        } else {
+            const effective = this._timingOf(key, result instanceof RefreshResult ? result.timing : {}, timing);
+            super.set(key, response, {ttl: effective.ttl, tags: tags || this._tagsOf(key)});
+            this._rememberTiming(key, timing);
+            this._rememberTtr(key, effective.ttr);
+            this._resetHits(key);
+            this._setL2(key, response);
+        }
+        return response;
+    }
+
+    /**
+     * Reads a key from the l2 tier. A value is only taken if this cache does not hold the key
+     * or another process refreshed it later, otherwise a background refresh would never reach the origin.
+     * Failures of the l2 tier are emitted as `l2_error` and the refresh method is called instead.
+     */
+    private async _getL2(l2: L2Store, key: Key, signal: AbortSignal) {
+        let stored;
         try {
-            const response = await this.refreshMethod(args);
-            super.set(key, response);
+            // a hanging tier must not outlast the timeout or a del of the key
+            stored = await Promise.race([l2.get(this._mapKey(key)), this._abortedBy(signal)]);
         } catch (error) {
+            if (signal.aborted) {
+                throw signal.reason;
+            }
+            this.emit('l2_error', error, key);
+            return undefined;
+        }
+        if (signal.aborted) {
+            throw signal.reason;
+        }
+        if (!stored || (stored.t !== 0 && stored.t <= Date.now())) {
+            return undefined;
+        }
+        const current = super.getTtl(key);
+        if (current !== undefined && (current === 0 || (stored.t !== 0 && stored.t <= current))) {
+            return undefined;
+        }
+        return stored;
+    }
+
+    /**
+     * Writes a loaded value to the l2 tier with the expiry it got in this cache, without waiting for it.
+     */
+    private _setL2(key: Key, value: T) {
+        const t = super.getTtl(key);
+        if (!this._l2 || t === undefined) {
+            return;
+        }
+        const tags = this._tagsOf(key);
+        this._l2.set(this._mapKey(key), tags ? {k: key, t, v: value, tags} : {k: key, t, v: value}).catch((error: unknown) => {
+            this.emit('l2_error', error, key);
+        });
+    }
+
+    /**
+     * Removes a key from the l2 tier without waiting for it.
+     */
+    private _delL2(key: Key) {
+        this._l2?.del(this._mapKey(key)).catch((error: unknown) => {
+            this.emit('l2_error', error, key);
+        });
+    }
+
+    /**
+     * Remembers a negative result for `negativeTTL` seconds.
+     * The entity is gone, so the cached value, its copy in the l2 tier and its scheduled refresh are dropped.
+     */
+    private _storeNegative(key: Key, result: NegativeResult) {
+        super.del(key);
+        this._delL2(key);
+        this._staleCache?.del(key);
+        this._refreshArgsCache.del(key);
+        this._refreshAttempts.delete(this._mapKey(key));
+        this._forgetKey(this._mapKey(key));
+        this._negativeCache?.set(key, result);
+    }
+
+    /**
+     * The `ttl` and `ttr` given to a call, undefined without them.
+     */
+    private _callTiming(options: CallOptions): EntryTiming | undefined {
+        if (options.ttl === undefined && options.ttr === undefined) {
+            return undefined;
+        }
+        return {ttl: options.ttl, ttr: options.ttr};
+    }
+
+    /**
+     * Keeps the `ttl` and `ttr` of a call for the following loads of a key holding a value.
+     */
+    private _rememberTiming(key: Key, timing?: EntryTiming) {
+        if (timing) {
+            this._keyTimings.set(this._mapKey(key), timing);
+        }
+    }
+
+    /**
+     * The `ttl` and `ttr` of a load. Hints of the refresh method win over the options of the calls,
+     * a `ttl` without `ttr` moves the refresh to `ttrAsFractionOfTTL` of it.
+     */
+    private _timingOf(key: Key, hints: EntryTiming = {}, called: EntryTiming = this._keyTimings.get(this._mapKey(key)) || {}): EntryTiming & {ttr: number} {
+        return {
+            ttl: hints.ttl ?? called.ttl,
+            ttr: this._ttrOfTiming(hints) ?? this._ttrOfTiming(called) ?? this.ttr,
+        };
+    }
+
+    private _ttrOfTiming(timing: EntryTiming) {
+        if (timing.ttr) {
+            return timing.ttr;
+        }
+        if (timing.ttl === undefined) {
+            return undefined;
+        }
+        return timing.ttl ? timing.ttl * this.ttrAsFractionOfTTL : this.defaultTTR;
+    }
+
+    private _rememberTtr(key: Key, ttr: number) {
+        if (ttr === this.ttr) {
+            this._entryTtrs.delete(this._mapKey(key));
+        } else {
+            this._entryTtrs.set(this._mapKey(key), ttr);
+        }
+    }
+
+    /**
+     * Seconds until the background refresh of a key, as set by its latest load.
+     */
+    private _ttrOf(key: Key) {
+        return this._entryTtrs.get(this._mapKey(key)) ?? this.ttr;
+    }
+
+    private _forgetKey(mapKey: Key) {
+        this._keyTimings.delete(mapKey);
+        this._entryTtrs.delete(mapKey);
+        this._access.delete(mapKey);
+    }
+
+    /**
+     * Records a call of a key, `hit` if it was answered from memory.
+     */
+    private _recordAccess(key: Key, hit: boolean) {
+        const mapKey = this._mapKey(key);
+        const access = this._access.get(mapKey) || {lastAccess: 0, hits: 0};
+        access.lastAccess = Date.now();
+        if (hit) {
+            access.hits++;
+        }
+        this._access.set(mapKey, access);
+    }
+
+    private _resetHits(key: Key) {
+        const access = this._access.get(this._mapKey(key));
+        if (access) {
+            access.hits = 0;
+        }
+    }
+
+    /**
+     * Whether a due background refresh of a key runs. Keys not called for `idleTimeout` are left to expire,
+     * with `refreshAhead` the first attempt runs with a probability growing with the calls since the latest load.
+     * Keys without recorded calls, e.g. restored from a snapshot, are refreshed.
+     */
+    private _shouldRefresh(mapKey: Key, attempt: number) {
+        const access = this._access.get(mapKey);
+        if (!access) {
+            return true;
+        }
+        if (this.idleTimeout > 0 && Date.now() - access.lastAccess > this.idleTimeout * 1000) {
+            return false;
+        }
+        if (this.refreshAhead > 0 && attempt === 1) {
+            return Math.random() < 1 - Math.exp(-access.hits / this.refreshAhead);
+        }
+        return true;
+    }
+
+    private _isNegative(key: Key) {
+        return this._negativeCache?.has(key) || false;
+    }
+
+    /**
+     * Aborts the running refresh method calls of the given keys (as used in `data`).
+     */
+    private _abortRunningCalls(mapKeys: Key[], reason: string) {
+        for (const mapKey of mapKeys) {
+            const controller = this._runningControllers.get(mapKey);
+            if (controller) {
+                this._runningCalls.delete(mapKey);
+                this._runningControllers.delete(mapKey);
+                controller.abort(this._error('EABORTED', reason));
+            }
+        }
+    }
+
+    private async refreshEntry(key: Key, args: A) {
+        const mapKey = this._mapKey(key);
+        const attempt = (this._refreshAttempts.get(mapKey) || 0) + 1;
+        if (!this._shouldRefresh(mapKey, attempt)) {
+            // the next call schedules a refresh again
+            this._skippedRefreshes++;
+            this._refreshAttempts.delete(mapKey);
+            return;
+        }
+        const operation = this._startOperation('refresh', key, {'cache.refresh.background': true, 'cache.refresh.attempt': attempt});
+        const coalesced = this._runningCalls.has(mapKey);
+        try {
+            await this._load(key, args, this.refreshTimeout, attempt);
+            this._refreshAttempts.delete(mapKey);
+            this._endOperation(operation, coalesced ? 'coalesced' : 'loaded');
+        } catch (error) {
+            this._endOperation(operation, this._isAbortedError(error) ? 'aborted' : 'error', error);
+            if (this._isAbortedError(error) || this._isNegative(key)) {
+                // the key was deleted or the cache flushed or closed,
+                // or the refresh method answered with a cacheable error
+                return;
+            }
             const ttl = super.getTtl(key);
-            if (ttl && this.retryPause*1000 < ttl) {
-                this._refreshArgsCache.set(key, args, this.retryPause);
-            } 
-            this.emit('refresh_error', error, key, args);
+            if (this._isCircuitOpenError(error)) {
+                // suspended, try again when the open circuit lets probes through,
+                // while a half-open circuit waits for its probe pause like after a failed attempt
+                const breaker = this._breaker;
+                const pause = breaker?.state === 'open' ? Math.max(breaker.retryIn(), 0.001) : this._retryDelay(1);
+                if (ttl === 0 || (ttl !== undefined && Date.now() + pause*1000 < ttl)) {
+                    this._refreshArgsCache.set(key, args, pause);
+                }
+                return;
+            }
+            const pause = this._retryDelay(attempt);
+            const { maxAttempts } = this.retryPolicy;
+            const withinBudget = maxAttempts === 0 || attempt < maxAttempts;
+            // keys without ttl are only retried with a limited budget
+            const beforeExpiry = ttl === 0 ? maxAttempts > 0 : ttl !== undefined && Date.now() + pause*1000 < ttl;
+            if (withinBudget && beforeExpiry) {
+                this._refreshAttempts.set(mapKey, attempt);
+                this._refreshArgsCache.set(key, args, pause);
+            } else {
+                // give up, the key will expire on its own
+                this._refreshAttempts.delete(mapKey);
+            }
+            this.emit('refresh_error', error, key, args, attempt);
+        }
+    }
+
+    /**
+     * Rejects with the reason of the signal once it is aborted.
+     */
+    private _abortedBy(signal: AbortSignal): Promise<never> {
+        return new Promise<never>((_resolve, reject) => {
+            signal.addEventListener('abort', () => {
+                reject(signal.reason);
+            }, { once: true });
+        });
+    }
+
+    /**
+     * Calls the refresh method through the circuit breaker if there is one.
+     * Rejects as soon as the signal of the context is aborted.
+     */
+    private async _invokeRefresh(args: A, context: RefreshContext): Promise<T | RefreshResult<T>> {
+        const breaker = this._breaker;
+        if (breaker && !breaker.allowRequest()) {
+            throw this._error('ECIRCUITOPEN', 'Circuit breaker is open, refresh method was not called');
+        }
+        this._originLoads++;
+        const aborted = this._abortedBy(context.signal);
+        const started = Date.now();
+        try {
+            const pending = this.batchRefreshMethod ? this._enqueueBatch(args, context) : this.refreshMethod(args, context);
+            const response = await Promise.race([pending, aborted]);
+            breaker?.onSuccess();
+            this._refreshes++;
+            this._refreshLatency.observe((Date.now() - started) / 1000);
+            return response;
+        } catch (error) {
+            if (this._isAbortedError(error)) {
+                breaker?.onCancel();
+            } else {
+                breaker?.onFailure();
+                this._refreshErrors++;
+                this._refreshLatency.observe((Date.now() - started) / 1000);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Queues a key for the next batch. The batch is sent after `batchWindow` or when it is full.
+     */
+    private _enqueueBatch(args: A, context: RefreshContext): Promise<T | RefreshResult<T>> {
+        return new Promise<T | RefreshResult<T>>((resolve, reject) => {
+            this._batch.push({key: context.key, args, signal: context.signal, resolve, reject});
+            if (this._batch.length >= this.batchMaxSize) {
+                this._flushBatch();
+            } else if (!this._batchTimer) {
+                this._batchTimer = setTimeout(() => {
+                    this._flushBatch();
+                }, this.batchWindow * 1000);
+            }
+        });
+    }
+
+    /**
+     * Sends the queued keys to the batch refresh method and fans the results out to their waiters.
+     */
+    private async _flushBatch() {
+        if (this._batchTimer) {
+            clearTimeout(this._batchTimer);
+            this._batchTimer = null;
+        }
+        // keys aborted while queued are not loaded any more
+        const entries = this._batch.filter((entry) => {
+            return !entry.signal.aborted;
+        });
+        this._batch = [];
+        if (!this.batchRefreshMethod || entries.length === 0) {
+            return;
+        }
+        const controller = new AbortController();
+        let running = entries.length;
+        for (const entry of entries) {
+            entry.signal.addEventListener('abort', () => {
+                running--;
+                if (running === 0) {
+                    controller.abort(entry.signal.reason);
+                }
+            }, { once: true });
+        }
+        try {
+            const results = await this.batchRefreshMethod(entries.map(({key, args}) => {
+                return {key, args};
+            }), {signal: controller.signal});
+            for (const entry of entries) {
+                const result = results.get(entry.key);
+                if (result instanceof Error) {
+                    entry.reject(result);
+                } else {
+                    entry.resolve(result as T);
+                }
+            }
+        } catch (error) {
+            for (const entry of entries) {
+                entry.reject(error);
+            }
+        }
+    }
+
+    private _isCircuitOpenError(error: unknown) {
+        return error instanceof Error && error.name === 'ECIRCUITOPEN';
+    }
+
+    /**
+     * Reports a key called with other arguments than the ones of its scheduled refresh,
+     * usually two argument sets mapped to the same hand-built key.
+     */
+    private _checkKeyMismatch(key: Key, args: A) {
+        const scheduled = this._refreshArgsCache.get(key);
+        if (scheduled === undefined || canonicalize(scheduled) === canonicalize(args)) {
+            return;
+        }
+        if (this.listenerCount('key_mismatch') > 0) {
+            this.emit('key_mismatch', key, scheduled, args);
+        } else {
+            process.emitWarning(`Key \`${key}\` was called with other arguments than the ones scheduled for its refresh`, {code: 'EKEYMISMATCH'});
         }
     }
+
+    private _resetRefreshStats() {
+        this._negativeHits = 0;
+        this._l2Hits = 0;
+        this._originLoads = 0;
+        this._refreshes = 0;
+        this._refreshErrors = 0;
+        this._skippedRefreshes = 0;
+        this._refreshLatency.reset();
+    }
+
+    private _isAbortedError(error: unknown) {
+        return error instanceof Error && error.name === 'EABORTED';
+    }
+
+    private _isCacheableError(error: unknown) {
+        return error instanceof Error && (error as Error & {cacheable?: unknown}).cacheable === true;
+    }
+
+    /**
+     * Pause in seconds before the retry following the given failed attempt.
+     */
+    private _retryDelay(attempt: number): number {
+        const { strategy, base, max, jitter } = this.retryPolicy;
+        const pause = Math.min(strategy === 'exponential' ? base * 2 ** (attempt - 1) : base, max);
+        // never 0, that would mean no expiry in the args cache
+        return Math.max(pause * (1 - jitter * Math.random()), 0.001);
+    }
 }
 
@@ -0,0 +1,80 @@
+import { Key } from "./node_cache";
+
+/**
+ * A cache drawing from a shared budget.
+ */
+export type BudgetMember = {
+  stats: { keys: number; ksize: number; vsize: number };
+  /** the next key (as used in `data`) to evict, skipping `skip` */
+  _victim(skip?: Key): Key | undefined;
+  _evict(mapKey: Key, reason: string): void;
+};
+
+/**
+ * `maxKeys` / `maxSize` limit shared by a cache and its namespaces.
+ * Usage is summed up from the stats of the members when a write needs room.
+ */
+export class SharedBudget {
+  readonly members = new Set<BudgetMember>();
+
+  constructor(private limits: { maxKeys: number; maxSize: number }) {}
+
+  get maxKeys() {
+    return this.limits.maxKeys;
+  }
+
+  get maxSize() {
+    return this.limits.maxSize;
+  }
+
+  // ## keys
+  //
+  // number of keys of all members
+  keys() {
+    let keys = 0;
+    for (const member of this.members) {
+      keys += member.stats.keys;
+    }
+    return keys;
+  }
+
+  // ## size
+  //
+  // approximate size in bytes of all keys and values of all members
+  size() {
+    let size = 0;
+    for (const member of this.members) {
+      size += member.stats.ksize + member.stats.vsize;
+    }
+    return size;
+  }
+
+  // ## evict
+  //
+  // evict a key of the member using the most of the budget to make room for a write of `writer`.
+  // Ties are broken in favor of the writer. Returns `false` if no member has a key to evict
+  evict(writer: BudgetMember, skip: Key, reason: string) {
+    let target: BudgetMember | undefined;
+    let victim: Key | undefined;
+    let targetUsage = -1;
+    for (const member of this.members) {
+      const { keys, ksize, vsize } = member.stats;
+      const usage = reason === "maxKeys" ? keys : ksize + vsize;
+      if (usage > targetUsage || (usage === targetUsage && member === writer)) {
+        const memberVictim = member._victim(
+          member === writer ? skip : undefined,
+        );
+        if (memberVictim !== undefined) {
+          target = member;
+          victim = memberVictim;
+          targetUsage = usage;
+        }
+      }
+    }
+    if (target === undefined || victim === undefined) {
+      return false;
+    }
+    target._evict(victim, reason);
+    return true;
+  }
+}
@@ -0,0 +1,327 @@
+import cluster from "cluster";
+import { Serializable } from "child_process";
+import { parentPort } from "worker_threads";
+import { Key, SetOptions } from "./node_cache";
+import { CallOptions, NodeCacheTs } from "./node_cache_ts";
+
+/**
+ * One end of a message channel, as implemented by `worker_threads` `Worker`,
+ * `MessagePort` and `parentPort`. Use `ipcPort` for cluster processes.
+ */
+export type MessagePortLike = {
+  postMessage(message: unknown): void;
+  on(event: "message", listener: (message: unknown) => void): unknown;
+  off(event: "message", listener: (message: unknown) => void): unknown;
+};
+
+/** A cluster worker or child process with an IPC channel. */
+export type IpcChannelLike = {
+  send?(message: Serializable): unknown;
+  on(event: "message", listener: (message: unknown) => void): unknown;
+  off(event: "message", listener: (message: unknown) => void): unknown;
+};
+
+export type SharedClusterLike = {
+  on(
+    event: "message",
+    listener: (worker: IpcChannelLike, message: unknown) => void,
+  ): unknown;
+  off(
+    event: "message",
+    listener: (worker: IpcChannelLike, message: unknown) => void,
+  ): unknown;
+};
+
+type Operation =
+  | { op: "get"; key: Key }
+  | { op: "set"; key: Key; value: unknown; ttl?: number | SetOptions | null }
+  | { op: "del"; keys: Key | Key[] }
+  | { op: "call"; key?: Key; args: unknown; options?: CallOptions };
+
+type Request = Operation & { nodeCacheShared: string; id: number };
+
+type Response = {
+  nodeCacheShared: string;
+  id: number;
+  result?: unknown;
+  error?: SerializedError;
+};
+
+type SerializedError = {
+  name: string;
+  message: string;
+  stack?: string;
+  [property: string]: unknown;
+};
+
+type PendingRequest = {
+  resolve: (result: unknown) => void;
+  reject: (error: Error) => void;
+};
+
+// ## ipcPort
+//
+// wrap the IPC channel of a cluster worker or child process (default: the current process) as a message port
+export function ipcPort(channel: IpcChannelLike = process): MessagePortLike {
+  return {
+    postMessage(message) {
+      channel.send?.(message as Serializable);
+    },
+    on(event, listener) {
+      return channel.on(event, listener);
+    },
+    off(event, listener) {
+      return channel.off(event, listener);
+    },
+  };
+}
+
+// ## serializeError
+//
+// internal helper to send an error with its name and own properties (e.g. `code`, `cacheable`)
+function serializeError(error: unknown): SerializedError {
+  if (error instanceof Error) {
+    return {
+      ...(error as unknown as Record<string, unknown>),
+      name: error.name,
+      message: error.message,
+      stack: error.stack,
+    };
+  }
+  return { name: "Error", message: String(error) };
+}
+
+// ## deserializeError
+//
+// internal helper to rebuild a received error
+function deserializeError(data: SerializedError) {
+  const { name, message, stack, ...properties } = data;
+  const error = Object.assign(new Error(message), properties);
+  error.name = name;
+  if (stack !== undefined) {
+    error.stack = stack;
+  }
+  return error;
+}
+
+/**
+ * Serves a `NodeCacheTs` owned by the primary process or main thread to
+ * `SharedCacheClient`s in the workers, so all of them share one copy of the
+ * data and concurrent `call`s of a key make one refresh method call.
+ *
+ * Keys, values and arguments have to survive the channel: structured clone
+ * for `worker_threads`, JSON for cluster IPC.
+ */
+export class SharedCacheHost<A extends { [key: string]: Serializable }, T> {
+  private disconnects = new Set<() => void>();
+
+  constructor(
+    readonly cache: NodeCacheTs<A, T>,
+    readonly name = "default",
+  ) {}
+
+  // ## connect
+  //
+  // serve the client at the other end of a port, e.g. a `Worker` or `MessagePort`. Returns a function to disconnect it.
+  connect(port: MessagePortLike) {
+    const listener = (raw: unknown) => {
+      this._handle(raw, (response) => {
+        port.postMessage(response);
+      });
+    };
+    port.on("message", listener);
+    return this._track(() => {
+      port.off("message", listener);
+    });
+  }
+
+  // ## listenCluster
+  //
+  // serve the clients of all current and future cluster workers. Returns a function to stop.
+  listenCluster(workers: SharedClusterLike = cluster) {
+    const listener = (worker: IpcChannelLike, raw: unknown) => {
+      this._handle(raw, (response) => {
+        worker.send?.(response);
+      });
+    };
+    workers.on("message", listener);
+    return this._track(() => {
+      workers.off("message", listener);
+    });
+  }
+
+  // ## close
+  //
+  // stop serving all clients. The cache stays open.
+  close() {
+    for (const disconnect of Array.from(this.disconnects)) {
+      disconnect();
+    }
+  }
+
+  // ## _track
+  //
+  // internal method to remember a disconnect function until it is called
+  private _track(disconnect: () => void) {
+    const once = () => {
+      if (this.disconnects.delete(once)) {
+        disconnect();
+      }
+    };
+    this.disconnects.add(once);
+    return once;
+  }
+
+  // ## _handle
+  //
+  // internal method to run a request of a client and send its result back
+  private async _handle(raw: unknown, reply: (response: Response) => void) {
+    if (
+      typeof raw !== "object" ||
+      raw === null ||
+      (raw as Partial<Request>).nodeCacheShared !== this.name
+    ) {
+      return;
+    }
+    const request = raw as Request;
+    const response: Response = { nodeCacheShared: this.name, id: request.id };
+    try {
+      response.result = await this._run(request);
+    } catch (error) {
+      response.error = serializeError(error);
+    }
+    try {
+      reply(response);
+    } catch (error) {
+      // the result can not be sent, e.g. a value with functions over a MessagePort
+      reply({
+        nodeCacheShared: this.name,
+        id: request.id,
+        error: serializeError(error),
+      });
+    }
+  }
+
+  // ## _run
+  //
+  // internal method to apply an operation to the cache
+  private _run(request: Operation) {
+    switch (request.op) {
+      case "get":
+        return this.cache.get(request.key);
+      case "set":
+        return this.cache.set(request.key, request.value as T, request.ttl);
+      case "del":
+        return this.cache.del(request.keys);
+      case "call":
+        // the key of `call(args)` is derived by the cache
+        return request.key === undefined
+          ? this.cache.call(request.args as A, request.options)
+          : this.cache.call(request.key, request.args as A, request.options);
+      default:
+        throw this.cache._error(
+          "EUNKNOWNOP",
+          `Unknown operation ${(request as { op: string }).op}`,
+        );
+    }
+  }
+}
+
+/**
+ * Proxy to a cache served by a `SharedCacheHost` with the same `name`.
+ * All methods return promises, errors of the host are rebuilt with their name and properties.
+ */
+export class SharedCacheClient<A extends { [key: string]: Serializable }, T> {
+  private port: MessagePortLike;
+  private nextId = 1;
+  private pending = new Map<number, PendingRequest>();
+  private onMessage = (raw: unknown) => {
+    if (
+      typeof raw !== "object" ||
+      raw === null ||
+      (raw as Partial<Response>).nodeCacheShared !== this.name
+    ) {
+      return;
+    }
+    const response = raw as Response;
+    const pending = this.pending.get(response.id);
+    if (!pending) {
+      return;
+    }
+    this.pending.delete(response.id);
+    if (response.error) {
+      pending.reject(deserializeError(response.error));
+    } else {
+      pending.resolve(response.result);
+    }
+  };
+
+  /**
+   * @param port defaults to `parentPort` in a worker thread, otherwise to the IPC channel of the process
+   */
+  constructor(
+    readonly name = "default",
+    port?: MessagePortLike,
+  ) {
+    this.port = port ?? parentPort ?? ipcPort();
+    this.port.on("message", this.onMessage);
+  }
+
+  get(key: Key) {
+    return this._request({ op: "get", key }) as Promise<T | undefined>;
+  }
+
+  set(key: Key, value: T, ttl?: number | SetOptions | null) {
+    return this._request({ op: "set", key, value, ttl }) as Promise<boolean>;
+  }
+
+  del(keys: Key | Key[]) {
+    return this._request({ op: "del", keys }) as Promise<number>;
+  }
+
+  call(args: A, options?: CallOptions): Promise<T>;
+  call(key: Key, args: A, options?: CallOptions): Promise<T>;
+  call(
+    keyOrArgs: Key | A,
+    argsOrOptions?: A | CallOptions,
+    options?: CallOptions,
+  ) {
+    if (typeof keyOrArgs === "object") {
+      return this._request({
+        op: "call",
+        args: keyOrArgs,
+        options: argsOrOptions as CallOptions | undefined,
+      }) as Promise<T>;
+    }
+    return this._request({
+      op: "call",
+      key: keyOrArgs,
+      args: argsOrOptions,
+      options,
+    }) as Promise<T>;
+  }
+
+  // ## close
+  //
+  // stop listening to the host, pending requests are rejected with an `ECLOSED` error
+  close() {
+    this.port.off("message", this.onMessage);
+    for (const pending of this.pending.values()) {
+      const error = new Error("The shared cache client was closed");
+      error.name = "ECLOSED";
+      pending.reject(error);
+    }
+    this.pending.clear();
+  }
+
+  // ## _request
+  //
+  // internal method to send an operation to the host and wait for its result
+  private _request(operation: Operation) {
+    const id = this.nextId++;
+    return new Promise<unknown>((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.port.postMessage({ ...operation, nodeCacheShared: this.name, id });
+    });
+  }
+}
@@ -0,0 +1,162 @@
+import * as fs from "fs";
+import { Key } from "./node_cache";
+
+/**
+ * An entry as written to a storage adapter.
+ */
+export type StoredEntry = {
+  /** the key as given by the user */
+  k: Key;
+  /** timestamp in ms when the entry expires, 0 = never */
+  t: number;
+  v: unknown;
+  /** tags of the entry, only present if given */
+  tags?: string[];
+  /** idle time to live in seconds of a sliding entry, `t` is the expiry of its latest write */
+  tti?: number;
+  /** timestamp in ms when a sliding entry expires even if read, 0 = never */
+  cap?: number;
+};
+
+/**
+ * Persistent store `NodeCache` writes every change through to.
+ * Keys are the keys used in `data` (strings unless `strictKeys` is enabled).
+ * All operations are synchronous, like the cache itself.
+ */
+export type StorageAdapter = {
+  get(key: Key): StoredEntry | undefined;
+  set(key: Key, entry: StoredEntry): void;
+  delete(key: Key): void;
+  /** all stored entries, used to rehydrate the cache on construction */
+  iterate(): Iterable<StoredEntry>;
+  clear(): void;
+};
+
+type LogRecord =
+  | { op: "set"; key: Key; entry: StoredEntry }
+  | { op: "delete"; key: Key }
+  | { op: "clear" };
+
+export type FileStorageOptions = {
+  /**
+   * rewrite the file once it holds this many more records than live entries.
+   * 0 = never compact automatically
+   *
+   * @type {number}
+   */
+  compactThreshold?: number;
+};
+
+/**
+ * Append-only file store. Every change is appended as one JSON line,
+ * the file is replayed into memory on construction and compacted when
+ * it is mostly made of overwritten records.
+ *
+ * Values have to survive `JSON.stringify`.
+ */
+export class FileStorageAdapter implements StorageAdapter {
+  readonly path: string;
+  private entries = new Map<Key, StoredEntry>();
+  private records = 0;
+  private compactThreshold: number;
+
+  constructor(path: string, options: FileStorageOptions = {}) {
+    this.path = path;
+    this.compactThreshold = options.compactThreshold ?? 1000;
+    this._replay();
+  }
+
+  get(key: Key) {
+    return this.entries.get(key);
+  }
+
+  set(key: Key, entry: StoredEntry) {
+    this.entries.set(key, entry);
+    this._append({ op: "set", key, entry });
+  }
+
+  delete(key: Key) {
+    if (this.entries.delete(key)) {
+      this._append({ op: "delete", key });
+    }
+  }
+
+  iterate() {
+    return this.entries.values();
+  }
+
+  clear() {
+    this.entries.clear();
+    this._append({ op: "clear" });
+  }
+
+  // ## compact
+  //
+  // rewrite the file with only the live entries
+  compact() {
+    const lines = [];
+    for (const [key, entry] of this.entries) {
+      lines.push(JSON.stringify({ op: "set", key, entry }) + "\n");
+    }
+    // write a new file and swap it in, so a crash never leaves a half written log
+    const tmp = `${this.path}.tmp`;
+    fs.writeFileSync(tmp, lines.join(""));
+    fs.renameSync(tmp, this.path);
+    this.records = lines.length;
+  }
+
+  // ## _append
+  //
+  // internal method to write one record and compact the log if needed
+  private _append(record: LogRecord) {
+    fs.appendFileSync(this.path, JSON.stringify(record) + "\n");
+    this.records++;
+    if (
+      this.compactThreshold > 0 &&
+      this.records > this.entries.size + this.compactThreshold
+    ) {
+      this.compact();
+    }
+  }
+
+  // ## _replay
+  //
+  // internal method to rebuild the entries from the log file
+  private _replay() {
+    let content: string;
+    try {
+      content = fs.readFileSync(this.path, "utf8");
+    } catch (err) {
+      if ((err as NodeJS.ErrnoException).code === "ENOENT") {
+        return;
+      }
+      throw err;
+    }
+    for (const line of content.split("\n")) {
+      if (line === "") {
+        continue;
+      }
+      let record: LogRecord;
+      try {
+        record = JSON.parse(line) as LogRecord;
+      } catch {
+        // a line cut off by a crash while writing
+        continue;
+      }
+      this.records++;
+      switch (record.op) {
+        case "set":
+          this.entries.set(record.key, record.entry);
+          break;
+        case "delete":
+          this.entries.delete(record.key);
+          break;
+        case "clear":
+          this.entries.clear();
+          break;
+        default:
+          break;
+      }
+    }
+  }
+}
@@ -1,6 +1,6 @@
 import http from 'http';
 import NodeCache from '../src/node_cache';
-import { NodeCacheTs } from '../src/node_cache_ts';
+import { memoize } from '../src/memoize';
 import { setTimeout } from 'timers/promises';
 
 const usage = `
@@ -11,13 +11,6 @@ const nodeCache = new NodeCache<string>({
 	stdTTL: 20
 });
 
-const snowCache = new NodeCacheTs<{sleepTime: number, key: string, value: string, flak: number}, string>({
-    stdTTL: 20,
-    ttr: 0.01
-}, async (args: {sleepTime: number, key: string, value: string, flak: number}): Promise<string> => {
-    return await mockServiceCall(args.sleepTime, args.key, args.value, args.flak);
-});
-
 const mockServiceCall = async (sleepTime: number, key: string, value: string, flak: number) => {
     await setTimeout(sleepTime);
     const answer = `{
@@ -31,6 +24,14 @@ const mockServiceCall = async (sleepTime: number, key: string, value: string, fl
     return answer
 }
 
+const snowCall = memoize(mockServiceCall, {
+    stdTTL: 20,
+    ttr: 0.01,
+    key: (_sleepTime, key) => {
+        return key;
+    }
+});
+
 const call = async (cacheType: string, sleepTime: number, key: string, value: string, flak: number): Promise<string> => {
     if (cacheType === 'node') {
         const cachedAnswer = nodeCache.get(key);
@@ -43,7 +44,7 @@ const call = async (cacheType: string, sleepTime: number, key: string, value: st
             return answer;
         }
     } else if (cacheType === 'snow') {
-        return snowCache.call(key, {sleepTime, key, value, flak});
+        return snowCall(sleepTime, key, value, flak);
     } else {
         return mockServiceCall(sleepTime, key, value, flak);
     }  
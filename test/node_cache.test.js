@@ -1,10 +1,17 @@
 const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { Readable } = require("stream");
 const chai  = require('chai');
 chai.should();
 
 const pkg  = JSON.parse(fs.readFileSync("package.json").toString());
 
 import NodeCache from "../dist/src/node_cache";
+import { FileStorageAdapter } from "../dist/src/storage";
+import { Housekeeper } from "../dist/src/housekeeper";
+import { BroadcastChannelTransport, ClusterTransport } from "../dist/src/invalidation_bus";
+import { metricsListener, Histogram } from "../dist/src/metrics";
 import { randomNumber, randomString, diffKeys } from "./helpers";
 import { describe, after, before, it, beforeEach } from "node:test";
 import Timeouts from 'timers/promises';
@@ -397,6 +404,160 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 
 	});
 
+	describe("eviction policy", function() {
+		it("lru evicts the least recently used key", function() {
+			const cache = new NodeCache({ maxKeys: 2, evictionPolicy: "lru", checkperiod: 0 });
+			const evicted = [];
+			cache.on("evicted", function(key, value, reason) {
+				evicted.push([key, value, reason]);
+			});
+			cache.set("a", 1);
+			cache.set("b", 2);
+			cache.get("a");
+			true.should.eql(cache.set("c", 3));
+
+			evicted.should.eql([["b", 2, "maxKeys"]]);
+			cache.keys().should.have.members(["a", "c"]);
+			(1).should.eql(cache.getStats().evictions);
+			(2).should.eql(cache.getStats().keys);
+		});
+
+		it("lfu evicts the least frequently used key", function() {
+			const cache = new NodeCache({ maxKeys: 2, evictionPolicy: "lfu", checkperiod: 0 });
+			cache.set("a", 1);
+			cache.set("b", 2);
+			cache.get("a");
+			cache.get("a");
+			cache.get("b");
+			cache.set("c", 3);
+			cache.get("c");
+			cache.get("c");
+			cache.get("a");
+			cache.set("d", 4);
+
+			cache.keys().should.have.members(["a", "d"]);
+			(2).should.eql(cache.getStats().evictions);
+		});
+
+		it("fifo evicts the oldest key regardless of reads", function() {
+			const cache = new NodeCache({ maxKeys: 2, evictionPolicy: "fifo", checkperiod: 0 });
+			cache.set("a", 1);
+			cache.set("b", 2);
+			cache.get("a");
+			cache.set("c", 3);
+
+			cache.keys().should.have.members(["b", "c"]);
+		});
+
+		it("overwriting an existing key does not evict", function() {
+			const cache = new NodeCache({ maxKeys: 2, evictionPolicy: "lru", checkperiod: 0 });
+			cache.set("a", 1);
+			cache.set("b", 2);
+			cache.set("a", 3);
+
+			cache.keys().should.have.members(["a", "b"]);
+			(0).should.eql(cache.getStats().evictions);
+		});
+
+		it("mset evicts instead of throwing", function() {
+			const cache = new NodeCache({ maxKeys: 2, evictionPolicy: "fifo", checkperiod: 0 });
+			true.should.eql(cache.mset([
+				{ key: "a", val: 1 },
+				{ key: "b", val: 2 },
+				{ key: "c", val: 3 }
+			]));
+			cache.keys().should.have.members(["b", "c"]);
+		});
+	});
+
+	describe("max size", function() {
+		it("evicts the oldest keys when the size budget is exceeded", function() {
+			const cache = new NodeCache({ maxSize: 25, evictionPolicy: "lru", checkperiod: 0 });
+			const evicted = [];
+			cache.on("evicted", function(key, value, reason) {
+				evicted.push([key, reason]);
+			});
+			cache.set("a", randomString(9));
+			cache.set("b", randomString(9));
+			cache.get("a");
+			cache.set("c", randomString(9));
+
+			evicted.should.eql([["b", "maxSize"]]);
+			(20).should.eql(cache.getStats().ksize + cache.getStats().vsize);
+		});
+
+		it("rejects writes over budget without an eviction policy", function() {
+			const cache = new NodeCache({ maxSize: 20, checkperiod: 0 });
+			cache.set("a", randomString(9));
+			cache.set("b", randomString(9));
+
+			((() => cache.set("c", randomString(9)))).should.throw().to.include({
+				name: "ECACHESIZE",
+				message: "Cache max size exceeded"
+			});
+			cache.keys().should.eql(["a", "b"]);
+		});
+
+		it("keeps enforcing the budget after flushStats", function() {
+			const cache = new NodeCache({ maxSize: 20, checkperiod: 0 });
+			cache.set("a", randomString(9));
+			cache.set("b", randomString(9));
+			cache.flushStats();
+			(20).should.eql(cache.getStats().ksize + cache.getStats().vsize);
+			((() => cache.set("c", randomString(9)))).should.throw().with.property("name", "ECACHESIZE");
+			cache.del(["a", "b"]);
+			cache.getStats().should.include({ keys: 0, ksize: 0, vsize: 0, deletes: 2 });
+		});
+
+		it("rejects an entry bigger than the whole budget", function() {
+			const cache = new NodeCache({ maxSize: 10, evictionPolicy: "lru", checkperiod: 0 });
+			cache.set("a", "x");
+
+			((() => cache.set("b", randomString(20)))).should.throw().to.include({
+				name: "ECACHESIZE"
+			});
+			cache.keys().should.eql(["a"]);
+		});
+
+		it("uses sizeCalculation instead of the heuristics", function() {
+			const cache = new NodeCache({
+				maxSize: 100,
+				evictionPolicy: "fifo",
+				checkperiod: 0,
+				sizeCalculation: (value, key) => value.bytes
+			});
+			cache.set("a", { bytes: 60 });
+			(60).should.eql(cache.getStats().vsize);
+			cache.set("b", { bytes: 30 });
+			cache.set("c", { bytes: 30 });
+
+			cache.keys().should.eql(["b", "c"]);
+			(60).should.eql(cache.getStats().vsize);
+			cache.del("b");
+			(30).should.eql(cache.getStats().vsize);
+		});
+
+		it("rejects sizes of sizeCalculation that are no finite number >= 0", function() {
+			const cache = new NodeCache({
+				maxSize: 100,
+				checkperiod: 0,
+				sizeCalculation: (value, key) => value.bytes
+			});
+			cache.set("a", { bytes: 60 });
+			for (const bytes of [NaN, -1, Infinity, "10", undefined]) {
+				((() => cache.set("b", { bytes }))).should.throw().to.include({
+					name: "ESIZECALC"
+				});
+				((() => cache.set("a", { bytes }))).should.throw().to.include({
+					name: "ESIZECALC"
+				});
+			}
+			cache.keys().should.eql(["a"]);
+			cache.get("a").should.eql({ bytes: 60 });
+			(60).should.eql(cache.getStats().vsize);
+		});
+	});
+
 	describe("correct and incorrect key types", function() {
 		describe("number", function() {
 			before(function() {
@@ -651,6 +812,49 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 		});
 	});
 
+	describe("key semantics", function() {
+		it("keys() returns the original key values", function() {
+			const cache = new NodeCache({ checkperiod: 0 });
+			cache.set(1, "a");
+			cache.set("b", "b");
+			cache.keys().should.eql([1, "b"]);
+			"a".should.eql(cache.get("1"));
+		});
+
+		it("prototype property names are plain keys", function() {
+			const cache = new NodeCache({ checkperiod: 0 });
+			cache.has("constructor").should.eql(false);
+			chai.expect(cache.get("__proto__")).be.undefined;
+			cache.set("__proto__", "a");
+			"a".should.eql(cache.get("__proto__"));
+			cache.keys().should.eql(["__proto__"]);
+		});
+
+		it("`strictKeys` distinguishes numeric and string keys", function() {
+			const cache = new NodeCache({ checkperiod: 0, strictKeys: true });
+			cache.set(1, "number");
+			cache.set("1", "string");
+			(2).should.eql(cache.getStats().keys);
+			"number".should.eql(cache.get(1));
+			"string".should.eql(cache.get("1"));
+			(1).should.eql(cache.del(1));
+			"string".should.eql(cache.get("1"));
+		});
+
+		it("iterates over valid entries", async () => {
+			const cache = new NodeCache({ checkperiod: 0 });
+			cache.set("a", 1);
+			cache.set(2, 2);
+			cache.set("c", 3, 0.01);
+			await Timeouts.setTimeout(20);
+
+			[...cache].should.eql([["a", 1], [2, 2]]);
+			[...cache.entries()].should.eql([["a", 1], [2, 2]]);
+			[...cache.values()].should.eql([1, 2]);
+			(0).should.eql(cache.getStats().hits);
+		});
+	});
+
 	describe("flush", function() {
 		before(function() {
 			state = {
@@ -681,7 +885,7 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 			localCache.flushAll(false);
 
 			(0).should.eql(localCache.getStats().keys);
-			({}.should.eql(localCache.data));
+			(0).should.eql(localCache.data.size);
 		});
 	});
 	
@@ -698,7 +902,7 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 			true.should.eql(res);
 			(1).should.eql(cache.getStats().keys);
 			cache.flushStats();
-			(0).should.eql(cache.getStats().keys);
+			(1).should.eql(cache.getStats().keys);
 			cache.get(key);
 			(1).should.eql(cache.getStats().hits);
 			cache.get(randomString(10));
@@ -1031,7 +1235,7 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 				localCache2132.once("expired", (key, val) => {
 					innerState.key.should.eql(key);
 					(!Array.from(state.keys).includes(key)).should.eql(true);
-					chai.expect(localCache2132.data[key]).be.undefined;
+					chai.expect(localCache2132.data.get(key)).be.undefined;
 				});
 
 				Timeouts.setTimeout(550);
@@ -1068,7 +1272,7 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 				await Timeouts.setTimeout(500);
 				const res = localCache.get(state.key3);
 				chai.expect(res).be.undefined;
-				chai.expect(localCache.data[state.key3]).be.undefined;
+				chai.expect(localCache.data.get(state.key3)).be.undefined;
 			
 			});
 
@@ -1112,7 +1316,7 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 				localCacheTTL._checkData(false);
 
 				// deep dirty check if key was deleted
-				chai.expect(localCacheTTL.data[state.key5]).be.undefined;
+				chai.expect(localCacheTTL.data.get(state.key5)).be.undefined;
 					
 			});
 
@@ -1152,6 +1356,68 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
 
 	});
 
+	describe("expiry scheduling", function() {
+		it("fires `expired` close to the deadline", async () => {
+			const cache = new NodeCache({ checkperiod: 60 });
+			const expired = [];
+			cache.on("expired", function(key) {
+				expired.push([key, Date.now()]);
+			});
+			const start = Date.now();
+			cache.set("short", "a", 0.1);
+			cache.set("long", "b", 100);
+
+			await Timeouts.setTimeout(200);
+			expired.map((e) => e[0]).should.eql(["short"]);
+			(expired[0][1] - start).should.be.within(100, 190);
+			chai.expect(cache.data.get("short")).be.undefined;
+			cache.has("long").should.eql(true);
+			cache.close();
+		});
+
+		it("uses the latest ttl of a key", async () => {
+			const cache = new NodeCache({ checkperiod: 60 });
+			cache.set("key", "a", 0.05);
+			cache.ttl("key", 100);
+
+			await Timeouts.setTimeout(100);
+			chai.expect(cache.data.get("key")).not.be.undefined;
+			cache.close();
+		});
+
+		it("keeps the value when `deleteOnExpire` is false", async () => {
+			const cache = new NodeCache({ checkperiod: 60, deleteOnExpire: false });
+			let expiredCount = 0;
+			cache.on("expired", function() {
+				expiredCount++;
+			});
+			cache.set("key", "a", 0.05);
+
+			await Timeouts.setTimeout(150);
+			(1).should.eql(expiredCount);
+			chai.expect(cache.data.get("key")).not.be.undefined;
+			cache.close();
+		});
+
+		it("drops outdated entries of a cache with many keys", function() {
+			const cache = new NodeCache({ checkperiod: 0, stdTTL: 100 });
+			const count = 200000;
+			for (let i = 0; i < count; i++) {
+				cache.set(i, "a");
+			}
+			const { vsize } = cache.getStats();
+			// the second round of updates makes the outdated entries dominate the heap
+			for (const value of ["b", "c"]) {
+				for (let i = 0; i < count; i++) {
+					true.should.eql(cache.set(i, value));
+				}
+			}
+			cache.getStats().keys.should.eql(count);
+			cache.getStats().vsize.should.eql(vsize);
+			cache.close();
+		});
+	});
+
 	describe("clone", function() {
 		it.skip("a function", function() {
 			const key = randomString(10);
@@ -1280,6 +1546,784 @@ describe(`\`${pkg.name}@${pkg.version}\` on \`node@${process.version}\``, functi
         });
 	});
 
+	describe("fetchAsync", function() {
+		let cache = null;
+		beforeEach(function() {
+			cache = new NodeCache({ checkperiod: 0 });
+		});
+
+		it("await the loader on a miss and cache its result", async function() {
+			(await cache.fetchAsync("key", async () => "foo", 100)).should.eql("foo");
+			cache.get("key").should.eql("foo");
+			(1).should.eql(cache.getStats().loads);
+		});
+
+		it("return a cached value without calling the loader", async function() {
+			cache.set("key", "bar");
+			let calls = 0;
+			(await cache.getOrSet("key", async () => {
+				calls++;
+				return "foo";
+			})).should.eql("bar");
+			calls.should.eql(0);
+		});
+
+		it("share one pending load between concurrent callers", async function() {
+			let calls = 0;
+			const loader = async () => {
+				calls++;
+				await Timeouts.setTimeout(10);
+				return "foo";
+			};
+			const results = await Promise.all([
+				cache.fetchAsync("key", loader),
+				cache.fetchAsync("key", loader),
+				cache.fetchAsync("key", loader)
+			]);
+			results.should.eql(["foo", "foo", "foo"]);
+			calls.should.eql(1);
+			(1).should.eql(cache.getStats().loads);
+		});
+
+		it("do not cache a rejected load by default", async function() {
+			let calls = 0;
+			const loader = async () => {
+				calls++;
+				throw new Error("boom");
+			};
+			for (let i = 0; i < 2; i++) {
+				await cache.fetchAsync("key", loader).then(() => {
+					throw new Error("should have failed");
+				}, (err) => {
+					err.message.should.eql("boom");
+				});
+			}
+			calls.should.eql(2);
+			cache.has("key").should.eql(false);
+			(2).should.eql(cache.getStats().loadErrors);
+		});
+
+		it("remember a rejected load for `loadErrorTTL`", async function() {
+			cache = new NodeCache({ checkperiod: 0, loadErrorTTL: 0.05 });
+			let calls = 0;
+			const loader = async () => {
+				calls++;
+				if (calls === 1) {
+					throw new Error("boom");
+				}
+				return "foo";
+			};
+			await cache.fetchAsync("key", loader).catch((err) => {
+				return err.message;
+			}).then((res) => {
+				res.should.eql("boom");
+			});
+			await cache.fetchAsync("key", loader).catch((err) => {
+				return err.message;
+			}).then((res) => {
+				res.should.eql("boom");
+			});
+			calls.should.eql(1);
+
+			await Timeouts.setTimeout(60);
+			(await cache.fetchAsync("key", loader)).should.eql("foo");
+			calls.should.eql(2);
+		});
+
+		it("forget a remembered rejection on `del`", async function() {
+			cache = new NodeCache({ checkperiod: 0, loadErrorTTL: 100 });
+			await cache.fetchAsync("key", async () => {
+				throw new Error("boom");
+			}).catch(() => {});
+			cache.del("key");
+			(await cache.fetchAsync("key", async () => "foo")).should.eql("foo");
+		});
+
+		it("reports its operations to the instrumentation", async function() {
+			const outcomes = [];
+			const cache = new NodeCache({ checkperiod: 0, instrumentation: {
+				onOperationEnd(operation) {
+					outcomes.push([operation.name, operation.key, operation.outcome, operation.duration >= 0]);
+				},
+			} });
+			const load = () => {
+				return Timeouts.setTimeout(5, "value");
+			};
+			await Promise.all([cache.fetchAsync("a", load), cache.fetchAsync("a", load)]);
+			await cache.fetchAsync("a", load);
+			outcomes.should.eql([
+				["fetchAsync", "a", "loaded", true],
+				["fetchAsync", "a", "coalesced", true],
+				["fetchAsync", "a", "hit", true],
+			]);
+			cache.close();
+		});
+
+		it("a load running during del or flushAll does not bring the key back", async function() {
+			const old = cache.fetchAsync("user", () => {
+				return Timeouts.setTimeout(20, "old");
+			});
+			cache.del("user");
+			cache.flushAll(false);
+			(await cache.fetchAsync("user", () => "new")).should.eql("new");
+			(await old).should.eql("old");
+			cache.get("user").should.eql("new");
+
+			const dropped = cache.fetchAsync("other", () => {
+				return Timeouts.setTimeout(20, "old");
+			});
+			cache.del("other");
+			await dropped;
+			(cache.get("other") === undefined).should.eql(true);
+		});
+	});
+
+	describe("storage", function() {
+		let dir = null;
+		let file = null;
+		let count = 0;
+		before(function() {
+			dir = fs.mkdtempSync(path.join(os.tmpdir(), "node-cache-"));
+		});
+
+		beforeEach(function() {
+			file = path.join(dir, `cache-${++count}.log`);
+		});
+
+		after(function() {
+			fs.rmSync(dir, { recursive: true, force: true });
+		});
+
+		it("rehydrate entries and ttls after a restart", function() {
+			const cache = new NodeCache({ checkperiod: 0, storage: new FileStorageAdapter(file) });
+			cache.set("a", { value: 1 }, 100);
+			cache.set("b", "forever");
+			cache.set("c", "deleted");
+			cache.del("c");
+			const ttl = cache.getTtl("a");
+			cache.close();
+
+			const restarted = new NodeCache({ checkperiod: 0, storage: new FileStorageAdapter(file) });
+			restarted.keys().should.eql(["a", "b"]);
+			restarted.get("a").should.eql({ value: 1 });
+			restarted.getTtl("a").should.eql(ttl);
+			restarted.getTtl("b").should.eql(0);
+			(2).should.eql(restarted.getStats().keys);
+			restarted.close();
+		});
+
+		it("drop entries that expired while the cache was down", async function() {
+			const cache = new NodeCache({ checkperiod: 0, storage: new FileStorageAdapter(file) });
+			cache.set("short", 1, 0.01);
+			cache.set("long", 2, 100);
+			cache.close();
+			await Timeouts.setTimeout(20);
+
+			const storage = new FileStorageAdapter(file);
+			const restarted = new NodeCache({ checkperiod: 0, storage });
+			restarted.keys().should.eql(["long"]);
+			chai.expect(storage.get("short")).be.undefined;
+			restarted.close();
+		});
+
+		it("write through the expiry of sliding entries in use", async function() {
+			const cache = new NodeCache({ checkperiod: 0, storage: new FileStorageAdapter(file) });
+			cache.set("session", "data", { ttl: 10, tti: 0.1 });
+			for (let i = 0; i < 10; i++) {
+				await Timeouts.setTimeout(30);
+				cache.get("session").should.eql("data");
+			}
+			cache.close();
+
+			const restarted = new NodeCache({ checkperiod: 0, storage: new FileStorageAdapter(file) });
+			restarted.get("session").should.eql("data");
+			restarted.close();
+		});
+
+		it("write through ttl changes, evictions and flushes", function() {
+			const storage = new FileStorageAdapter(file);
+			const cache = new NodeCache({ checkperiod: 0, maxKeys: 2, evictionPolicy: "fifo", storage });
+			cache.set("a", 1);
+			cache.set("b", 2);
+			cache.set("c", 3);
+			cache.ttl("b", 100);
+			chai.expect(storage.get("a")).be.undefined;
+			storage.get("b").t.should.eql(cache.getTtl("b"));
+
+			cache.flushAll(false);
+			Array.from(storage.iterate()).should.eql([]);
+			chai.expect(new FileStorageAdapter(file).get("c")).be.undefined;
+		});
+
+		it("compact the log when it is mostly overwritten records", function() {
+			const storage = new FileStorageAdapter(file, { compactThreshold: 10 });
+			for (let i = 0; i < 25; i++) {
+				storage.set("key", { k: "key", t: 0, v: i });
+			}
+			const lines = fs.readFileSync(file, "utf8").split("\n").filter((line) => line !== "");
+			(lines.length).should.be.below(12);
+			new FileStorageAdapter(file).get("key").v.should.eql(24);
+		});
+
+		it("skip a record cut off while writing", function() {
+			const storage = new FileStorageAdapter(file);
+			storage.set("a", { k: "a", t: 0, v: 1 });
+			fs.appendFileSync(file, '{"op":"set","key":"b","ent');
+			new FileStorageAdapter(file).get("a").v.should.eql(1);
+			chai.expect(new FileStorageAdapter(file).get("b")).be.undefined;
+		});
+	});
+
+	describe("tags and patterns", function() {
+		let cache = null;
+		let deleted = null;
+		beforeEach(function() {
+			cache = new NodeCache({ checkperiod: 0 });
+			deleted = [];
+			cache.on("del", (key) => {
+				deleted.push(key);
+			});
+			cache.set("user:1", "john", { tags: ["user:1"] });
+			cache.set("user:1:posts", [1, 2], { ttl: 100, tags: ["user:1", "posts"] });
+			cache.set("user:2", "jane", { tags: ["user:2"] });
+			cache.set("other", 1);
+		});
+
+		it("set accepts `{ ttl, tags }`", function() {
+			cache.getTtl("user:1:posts").should.be.above(Date.now());
+			cache.getTtl("user:1").should.eql(0);
+		});
+
+		it("invalidateTag removes every key with the tag", function() {
+			(2).should.eql(cache.invalidateTag("user:1"));
+			cache.keys().should.eql(["user:2", "other"]);
+			deleted.should.eql(["user:1", "user:1:posts"]);
+			(0).should.eql(cache.invalidateTag("user:1"));
+		});
+
+		it("invalidateTag accepts several tags", function() {
+			(2).should.eql(cache.invalidateTag(["posts", "user:2"]));
+			cache.keys().should.eql(["user:1", "other"]);
+		});
+
+		it("overwriting a key replaces its tags", function() {
+			cache.set("user:1", "johnny");
+			(1).should.eql(cache.invalidateTag("user:1"));
+			cache.has("user:1").should.eql(true);
+		});
+
+		it("ttl changes keep the tags", function() {
+			cache.ttl("user:1", 100);
+			(2).should.eql(cache.invalidateTag("user:1"));
+		});
+
+		it("delByPattern removes keys matching a glob", function() {
+			(2).should.eql(cache.delByPattern("user:?"));
+			cache.keys().should.eql(["user:1:posts", "other"]);
+			(1).should.eql(cache.delByPattern("user:*"));
+			cache.keys().should.eql(["other"]);
+		});
+
+		it("delByPattern removes keys matching a RegExp", function() {
+			(3).should.eql(cache.delByPattern(/^user:/g));
+			deleted.should.eql(["user:1", "user:1:posts", "user:2"]);
+		});
+
+		it("reject tags that are not an array", function() {
+			(function() {
+				cache.set("key", 1, { tags: "user:1" });
+			}).should.throw().with.property("name", "ETAGSTYPE");
+		});
+
+		it("a null ttl falls back to stdTTL", function() {
+			const cache = new NodeCache({ checkperiod: 0, stdTTL: 100 });
+			true.should.eql(cache.set("key", 1, null));
+			cache.getTtl("key").should.be.within(Date.now() + 90000, Date.now() + 100000);
+			cache.close();
+		});
+
+		it("tags are part of snapshots", function() {
+			const restored = new NodeCache({ checkperiod: 0 });
+			restored.load(cache.dump());
+			(2).should.eql(restored.invalidateTag("user:1"));
+		});
+	});
+
+	describe("dump and load", function() {
+		let cache = null;
+		beforeEach(function() {
+			cache = new NodeCache({ checkperiod: 0 });
+			cache.set("a", { value: 1 }, 100);
+			cache.set(2, "two");
+		});
+
+		it("dump all live entries with their expiry", function() {
+			cache.set("gone", 1, -1);
+			const snapshot = cache.dump();
+			(1).should.eql(snapshot.version);
+			snapshot.entries.should.eql([
+				{ k: "a", t: cache.getTtl("a"), v: { value: 1 } },
+				{ k: 2, t: 0, v: "two" }
+			]);
+		});
+
+		it("load a snapshot into a new cache keeping the ttl", function() {
+			const restored = new NodeCache({ checkperiod: 0 });
+			restored.set("old", 1);
+			const snapshot = JSON.parse(JSON.stringify(cache.dump()));
+			(2).should.eql(restored.load(snapshot));
+			restored.keys().should.eql(["a", 2]);
+			restored.getTtl("a").should.eql(cache.getTtl("a"));
+			restored.get("a").should.eql({ value: 1 });
+			(2).should.eql(restored.getStats().keys);
+		});
+
+		it("merge keeps the current entries", function() {
+			const restored = new NodeCache({ checkperiod: 0 });
+			restored.set("a", "newer");
+			restored.set("b", 1);
+			(1).should.eql(restored.load(cache.dump(), { merge: true }));
+			restored.get("a").should.eql("newer");
+			restored.keys().should.eql(["a", "b", 2]);
+		});
+
+		it("skip expired entries unless `skipExpired` is false", function() {
+			const snapshot = {
+				version: 1,
+				entries: [{ k: "old", t: Date.now() - 1000, v: 1 }, { k: "new", t: 0, v: 2 }]
+			};
+			const restored = new NodeCache({ checkperiod: 0, deleteOnExpire: false });
+			(1).should.eql(restored.load(snapshot));
+			(2).should.eql(restored.load(snapshot, { skipExpired: false }));
+			restored.keys().should.eql(["old", "new"]);
+		});
+
+		it("reject an unknown snapshot version", function() {
+			(function() {
+				cache.load({ version: 2, entries: [] });
+			}).should.throw().with.property("name", "ESNAPSHOT");
+			(2).should.eql(cache.getStats().keys);
+		});
+
+		it("stream a snapshot as JSON lines and load it", async function() {
+			let text = "";
+			for await (const chunk of cache.dumpStream()) {
+				text += chunk;
+			}
+			const lines = text.trim().split("\n").map((line) => JSON.parse(line));
+			lines[0].should.eql({ version: 1 });
+			lines[2].should.eql({ section: "entries", entry: { k: 2, t: 0, v: "two" } });
+
+			const restored = new NodeCache({ checkperiod: 0 });
+			(2).should.eql(await restored.loadStream(Readable.from([text])));
+			restored.get("a").should.eql({ value: 1 });
+		});
+
+		it("reject a stream without header", async function() {
+			const restored = new NodeCache({ checkperiod: 0 });
+			const error = await restored.loadStream(Readable.from([""])).catch((err) => err);
+			"ESNAPSHOT".should.eql(error.name);
+		});
+	});
+
+	describe("namespaces", function() {
+		it("have their own keys, stats and flushAll", function() {
+			const cache = new NodeCache({ checkperiod: 0 });
+			const users = cache.namespace("users");
+			users.should.equal(cache.namespace("users"));
+
+			cache.set("1", "root");
+			users.set("1", "user");
+			cache.namespace("teams").set("1", "team");
+			cache.get("1").should.eql("root");
+			users.get("1").should.eql("user");
+			(1).should.eql(users.getStats().hits);
+
+			users.flushAll();
+			users.keys().should.eql([]);
+			cache.namespace("teams").keys().should.eql(["1"]);
+			cache.keys().should.eql(["1"]);
+			cache.close();
+		});
+
+		it("inherit the options of their parent", function() {
+			const cache = new NodeCache({ checkperiod: 0, stdTTL: 100 });
+			cache.namespace("short", { stdTTL: 1 }).set("key", 1);
+			cache.namespace("long").set("key", 1);
+			cache.namespace("short").getTtl("key").should.be.below(Date.now() + 2000);
+			cache.namespace("long").getTtl("key").should.be.above(Date.now() + 90000);
+			cache.close();
+		});
+
+		it("run on the housekeeper of their parent", async function() {
+			const cache = new NodeCache({ checkperiod: 60 });
+			const users = cache.namespace("users");
+			users.housekeeper.should.equal(cache.housekeeper);
+			const expired = [];
+			users.on("expired", (key) => {
+				expired.push(key);
+			});
+			users.set("key", 1, 0.05);
+			await Timeouts.setTimeout(100);
+			expired.should.eql(["key"]);
+
+			cache.close();
+			chai.expect(cache.housekeeper.checkTimeout).be.null;
+		});
+
+		it("share one timer between caches with the same housekeeper", async function() {
+			const housekeeper = new Housekeeper();
+			const caches = [1, 2, 3].map(() => new NodeCache({ checkperiod: 60, housekeeper }));
+			const expired = [];
+			caches.forEach((cache, i) => {
+				cache.on("expired", (key) => {
+					expired.push(`${i}:${key}`);
+				});
+				cache.set("key", i, 0.02 * (i + 1));
+			});
+			await Timeouts.setTimeout(120);
+			expired.should.eql(["0:key", "1:key", "2:key"]);
+
+			caches[0].close();
+			chai.expect(housekeeper.checkTimeout).be.null;
+			caches[1].set("later", 1, 0.02);
+			chai.expect(housekeeper.checkTimeout).not.be.null;
+			caches.forEach((cache) => cache.close());
+			chai.expect(housekeeper.checkTimeout).be.null;
+		});
+
+		it("keys of a closed cache are not checked by the others", async function() {
+			const housekeeper = new Housekeeper();
+			const open = new NodeCache({ checkperiod: 60, housekeeper });
+			const closed = new NodeCache({ checkperiod: 60, housekeeper });
+			let closedExpired = 0;
+			closed.on("expired", () => {
+				closedExpired++;
+			});
+			closed.set("key", 1, 0.01);
+			closed.close();
+			open.set("key", 1, 0.03);
+			await Timeouts.setTimeout(60);
+			(0).should.eql(closedExpired);
+			open.has("key").should.eql(false);
+			open.close();
+		});
+
+		it("share the maxKeys budget of their parent", function() {
+			const cache = new NodeCache({ checkperiod: 0, maxKeys: 3, evictionPolicy: "lru", sharedBudget: true });
+			const users = cache.namespace("users");
+			const teams = cache.namespace("teams");
+			const evicted = [];
+			for (const namespace of [cache, users, teams]) {
+				namespace.on("evicted", (key, value, reason) => {
+					evicted.push([key, reason]);
+				});
+			}
+			cache.set("a", 1);
+			teams.set("t1", 1);
+			teams.set("t2", 1);
+			// the namespace using the most keys pays
+			users.set("u1", 1);
+			evicted.should.eql([["t1", "maxKeys"]]);
+			// on a tie the writer pays
+			users.set("u2", 1);
+			evicted.should.eql([["t1", "maxKeys"], ["u1", "maxKeys"]]);
+			cache.keys().should.eql(["a"]);
+			teams.keys().should.eql(["t2"]);
+			users.keys().should.eql(["u2"]);
+			cache.close();
+		});
+
+		it("throw when the shared budget is used up and nothing can be evicted", function() {
+			const cache = new NodeCache({ checkperiod: 0, maxSize: 10, sharedBudget: true });
+			cache.namespace("a").set("k", "12345");
+			(function() {
+				cache.namespace("b").set("k", "12345");
+			}).should.throw().with.property("name", "ECACHESIZE");
+			cache.close();
+		});
+	});
+
+	describe("invalidation bus", function() {
+		// in-process bus delivering synchronously to all other subscribers
+		const memoryBus = () => {
+			const listeners = new Set();
+			const published = [];
+			const connect = () => {
+				let own;
+				return {
+					publish(message) {
+						published.push(message);
+						for (const listener of listeners) {
+							if (listener !== own) {
+								listener(message);
+							}
+						}
+					},
+					subscribe(listener) {
+						own = listener;
+						listeners.add(listener);
+						return () => {
+							listeners.delete(listener);
+						};
+					},
+				};
+			};
+			return { connect, published };
+		};
+
+		it("send del, flushAll, invalidateTag and delByPattern to the other caches", function() {
+			const bus = memoryBus();
+			const a = new NodeCache({ checkperiod: 0, invalidationBus: bus.connect() });
+			const b = new NodeCache({ checkperiod: 0, invalidationBus: bus.connect() });
+			for (const cache of [a, b]) {
+				cache.set("user:1", 1);
+				cache.set("user:2", 2);
+				cache.set("team:1", 3, { tags: ["teams"] });
+				cache.set("other", 4);
+			}
+
+			(1).should.eql(a.del("other"));
+			b.keys().should.eql(["user:1", "user:2", "team:1"]);
+			(1).should.eql(a.invalidateTag("teams"));
+			b.keys().should.eql(["user:1", "user:2"]);
+			(1).should.eql(b.delByPattern(/^user:2$/));
+			a.keys().should.eql(["user:1"]);
+			a.delByPattern("user:*");
+			b.keys().should.eql([]);
+			b.set("key", 1);
+			a.set("key", 1);
+			a.flushAll();
+			b.keys().should.eql([]);
+
+			// one message per operation, nothing is sent back
+			bus.published.should.eql([
+				{ type: "del", keys: ["other"] },
+				{ type: "invalidateTag", tags: ["teams"] },
+				{ type: "delByPattern", pattern: { source: "^user:2$", flags: "" } },
+				{ type: "delByPattern", pattern: "user:*" },
+				{ type: "flushAll" },
+			]);
+			a.close();
+			b.close();
+		});
+
+		it("expiries, loads and namespaces stay local", async function() {
+			const bus = memoryBus();
+			const a = new NodeCache({ checkperiod: 0, invalidationBus: bus.connect() });
+			const b = new NodeCache({ checkperiod: 0, invalidationBus: bus.connect() });
+			a.set("short", 1, 0.01);
+			b.set("short", 1);
+			await Timeouts.setTimeout(20);
+			chai.expect(a.get("short")).be.undefined;
+			a.load({ version: 1, entries: [] });
+			a.namespace("users").set("key", 1);
+			a.namespace("users").del("key");
+			b.keys().should.eql(["short"]);
+			bus.published.should.eql([]);
+			a.close();
+			b.close();
+		});
+
+		it("stop applying messages when closed", function() {
+			const bus = memoryBus();
+			const a = new NodeCache({ checkperiod: 0, invalidationBus: bus.connect() });
+			const b = new NodeCache({ checkperiod: 0, invalidationBus: bus.connect() });
+			b.set("key", 1);
+			b.close();
+			a.del("key");
+			b.keys().should.eql(["key"]);
+			a.close();
+		});
+
+		it("BroadcastChannelTransport connects caches of the same process", async function() {
+			const transports = [new BroadcastChannelTransport("node-cache-test"), new BroadcastChannelTransport("node-cache-test")];
+			const [a, b] = transports.map((invalidationBus) => new NodeCache({ checkperiod: 0, invalidationBus }));
+			a.set("key", 1);
+			b.set("key", 1);
+			a.del("key");
+			// messages are delivered asynchronously
+			await Timeouts.setTimeout(50);
+			chai.expect(b.get("key")).be.undefined;
+			a.close();
+			b.close();
+			transports.forEach((transport) => transport.close());
+		});
+
+		it("ClusterTransport relays messages of a worker to the other workers", function() {
+			const { EventEmitter } = require("events");
+			// a primary with two workers, every worker is connected to the primary by its own channel
+			const primaryCluster = Object.assign(new EventEmitter(), { isPrimary: true, workers: {} });
+			const workers = [1, 2].map((id) => {
+				const channel = new EventEmitter();
+				const handle = {
+					send(message) {
+						channel.emit("message", message);
+					},
+				};
+				primaryCluster.workers[id] = handle;
+				const workerProcess = Object.assign(channel, {
+					send(message) {
+						primaryCluster.emit("message", handle, message);
+					},
+				});
+				return new ClusterTransport("test", { cluster: { isPrimary: false, on() {}, off() {} }, process: workerProcess });
+			});
+			const primary = new ClusterTransport("test", { cluster: primaryCluster });
+			const caches = [primary, ...workers].map((invalidationBus) => {
+				const cache = new NodeCache({ checkperiod: 0, invalidationBus });
+				cache.set("key", 1);
+				return cache;
+			});
+
+			caches[1].del("key");
+			caches.map((cache) => cache.has("key")).should.eql([false, false, false]);
+			caches[1].set("key", 1);
+			caches[0].set("key", 1);
+			caches[0].flushAll();
+			caches.map((cache) => cache.has("key")).should.eql([false, false, false]);
+
+			caches.forEach((cache) => cache.close());
+			[primary, ...workers].forEach((transport) => transport.close());
+		});
+	});
+
+	describe("metrics", function() {
+		it("render the stats as OpenMetrics text", async function() {
+			const cache = new NodeCache({ checkperiod: 0, metricsLabels: { cache: "users" } });
+			cache.set("a", "x");
+			cache.set("b", "y", 0.01);
+			cache.get("a");
+			cache.get("missing");
+			cache.del("a");
+			await Timeouts.setTimeout(20);
+			cache.get("b");
+
+			const text = cache.metrics();
+			text.should.include("# TYPE node_cache_hits counter\n# HELP node_cache_hits Reads that found the key.\nnode_cache_hits_total{cache=\"users\"} 1\n");
+			text.should.include("node_cache_misses_total{cache=\"users\"} 2\n");
+			text.should.include("node_cache_sets_total{cache=\"users\"} 2\n");
+			text.should.include("node_cache_deletes_total{cache=\"users\"} 2\n");
+			text.should.include("node_cache_expired_total{cache=\"users\"} 1\n");
+			text.should.include("node_cache_keys{cache=\"users\"} 0\n");
+			text.should.include("# UNIT node_cache_size_bytes bytes\n");
+			text.endsWith("# EOF\n").should.eql(true);
+			(2).should.eql(cache.getStats().sets);
+			(1).should.eql(cache.getStats().expired);
+			cache.close();
+		});
+
+		it("include the namespaces with their name as label", function() {
+			const cache = new NodeCache({ checkperiod: 0, metricsLabels: { cache: "main" } });
+			cache.namespace("users").set("a", 1);
+			cache.namespace("teams", { metricsLabels: { team: "a\"b" } });
+			const text = cache.metrics();
+			// one family with the samples of all caches
+			text.split("# TYPE node_cache_keys gauge").length.should.eql(2);
+			text.should.include("node_cache_keys{cache=\"main\"} 0\n");
+			text.should.include("node_cache_keys{cache=\"main\",namespace=\"users\"} 1\n");
+			text.should.include("node_cache_keys{cache=\"main\",namespace=\"teams\",team=\"a\\\"b\"} 0\n");
+			cache.close();
+		});
+
+		it("histograms count cumulative buckets", function() {
+			const histogram = new Histogram([0.1, 1]);
+			histogram.observe(0.05);
+			histogram.observe(0.5);
+			histogram.observe(5);
+			histogram.samples({}).map((sample) => [sample.suffix, sample.labels.le, sample.value]).should.eql([
+				["_bucket", "0.1", 1],
+				["_bucket", "1", 2],
+				["_bucket", "+Inf", 3],
+				["_count", undefined, 3],
+				["_sum", undefined, 5.55],
+			]);
+		});
+
+		it("metricsListener serves the metrics of many caches", async function() {
+			const http = require("http");
+			const caches = ["a", "b"].map((name) => new NodeCache({ checkperiod: 0, metricsLabels: { cache: name } }));
+			const server = http.createServer(metricsListener(...caches));
+			await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+			try {
+				const response = await fetch(`http://127.0.0.1:${server.address().port}/metrics`);
+				response.headers.get("content-type").should.include("application/openmetrics-text");
+				const text = await response.text();
+				text.should.include("node_cache_keys{cache=\"a\"} 0\n");
+				text.should.include("node_cache_keys{cache=\"b\"} 0\n");
+			} finally {
+				await new Promise((resolve) => server.close(resolve));
+				caches.forEach((cache) => cache.close());
+			}
+		});
+	});
+
+	describe("sliding expiration", function() {
+		it("hits of get, mget and has move the expiry", async function() {
+			const cache = new NodeCache({ stdTTI: 0.2 });
+			const expired = [];
+			cache.on("expired", (key) => expired.push(key));
+			cache.set("session", "data");
+			cache.set("fixed", "data", { ttl: 0.2, tti: 0 });
+			const first = cache.getTtl("session");
+			Math.abs(first - (Date.now() + 200)).should.be.below(30);
+
+			await Timeouts.setTimeout(100);
+			cache.get("session").should.eql("data");
+			await Timeouts.setTimeout(100);
+			cache.mget(["session"]).should.eql({ session: "data" });
+			await Timeouts.setTimeout(100);
+			cache.has("session").should.eql(true);
+			cache.getTtl("session").should.be.above(first + 200);
+			cache.has("fixed").should.eql(false);
+
+			// getTtl is not a hit
+			const last = cache.getTtl("session");
+			cache.getTtl("session").should.eql(last);
+			// expired by the scheduler without a read
+			await Timeouts.setTimeout(400);
+			expired.should.eql(["fixed", "session"]);
+			cache.close();
+		});
+
+		it("the ttl caps the expiry of a sliding entry", async function() {
+			const cache = new NodeCache({ checkperiod: 0 });
+			cache.set("session", "data", { ttl: 0.5, tti: 0.2 });
+			const cap = cache.getTtl("session") + 300;
+			for (let i = 0; i < 4; i++) {
+				await Timeouts.setTimeout(100);
+				cache.get("session").should.eql("data");
+				cache.getTtl("session").should.be.at.most(cap);
+			}
+			// read 100ms ago, but past its ttl
+			await Timeouts.setTimeout(150);
+			(cache.get("session") === undefined).should.eql(true);
+			cache.close();
+		});
+
+		it("without ttl a sliding entry lives as long as it is read", async function() {
+			const cache = new NodeCache({ checkperiod: 0, stdTTI: 10 });
+			cache.set("session", "data", 0);
+			Math.abs(cache.getTtl("session") - (Date.now() + 10000)).should.be.below(30);
+			cache.ttl("session", 5);
+			Math.abs(cache.getTtl("session") - (Date.now() + 5000)).should.be.below(30);
+			cache.close();
+		});
+
+		it("snapshots keep the idle time to live", async function() {
+			const cache = new NodeCache({ checkperiod: 0 });
+			cache.set("session", "data", { ttl: 100, tti: 0.1 });
+			const restored = new NodeCache({ checkperiod: 0 });
+			restored.load(JSON.parse(JSON.stringify(cache.dump())));
+			await Timeouts.setTimeout(60);
+			restored.get("session").should.eql("data");
+			await Timeouts.setTimeout(60);
+			restored.get("session").should.eql("data");
+			cache.close();
+			restored.close();
+		});
+	});
+
 	describe("Issues", function() {
 		describe("#151 - cannot set null", function() {
 			// before(function() {
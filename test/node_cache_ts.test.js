@@ -0,0 +1,1349 @@
+const chai  = require('chai');
+chai.should();
+
+import { NodeCacheTs, RefreshResult } from "../dist/src/node_cache_ts";
+import { SharedCacheHost, SharedCacheClient, ipcPort } from "../dist/src/shared_cache";
+import { MemoryL2Store } from "../dist/src/l2_store";
+import { openTelemetryInstrumentation } from "../dist/src/instrumentation";
+import { canonicalize, deriveKey } from "../dist/src/key";
+import { memoize, cached } from "../dist/src/memoize";
+import { describe, it } from "node:test";
+import { MessageChannel } from "worker_threads";
+import { EventEmitter } from "events";
+import Timeouts from 'timers/promises';
+
+const rejection = async (promise) => {
+	try {
+		await promise;
+	} catch (error) {
+		return error;
+	}
+};
+
+describe("NodeCacheTs", function() {
+
+	describe("eviction", function() {
+		it("evicted keys are not refreshed any more", async () => {
+			const cache = new NodeCacheTs({ maxKeys: 1, evictionPolicy: "lru", checkperiod: 0 }, async (args) => {
+				return args.value;
+			});
+			await cache.call("a", { value: 1 });
+			await cache.call("b", { value: 2 });
+
+			cache.keys().should.eql(["b"]);
+			cache._refreshArgsCache.keys().should.eql(["b"]);
+			cache.close();
+		});
+	});
+
+	describe("stale values", function() {
+		it("stale-while-revalidate returns the expired value and refreshes it", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 0.05, ttr: 10, staleWhileRevalidate: 1 }, async () => {
+				calls++;
+				return calls;
+			});
+			const served = [];
+			cache.on("stale_served", function(key, value, reason) {
+				served.push([key, value, reason]);
+			});
+			(1).should.eql(await cache.call("key", {}));
+			await Timeouts.setTimeout(100);
+
+			(1).should.eql(await cache.call("key", {}));
+			served.should.eql([["key", 1, "revalidate"]]);
+			await Timeouts.setTimeout(10);
+			(2).should.eql(await cache.call("key", {}));
+			(2).should.eql(calls);
+			cache.close();
+		});
+
+		it("stale-if-error returns the expired value when the refresh fails", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 0.05, ttr: 10, staleIfError: 1 }, async () => {
+				calls++;
+				if (calls > 1) {
+					throw new Error("backend down");
+				}
+				return "value";
+			});
+			const served = [];
+			cache.on("stale_served", function(key, value, reason) {
+				served.push([key, value, reason]);
+			});
+			"value".should.eql(await cache.call("key", {}));
+			await Timeouts.setTimeout(100);
+
+			"value".should.eql(await cache.call("key", {}));
+			served.should.eql([["key", "value", "error"]]);
+			cache.close();
+		});
+
+		it("errors are thrown without stale windows", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 0.05, ttr: 10 }, async () => {
+				calls++;
+				if (calls > 1) {
+					throw new Error("backend down");
+				}
+				return "value";
+			});
+			"value".should.eql(await cache.call("key", {}));
+			await Timeouts.setTimeout(100);
+
+			let error = null;
+			try {
+				await cache.call("key", {});
+			} catch (err) {
+				error = err;
+			}
+			"backend down".should.eql(error.message);
+			cache.close();
+		});
+	});
+
+	describe("retry policy", function() {
+		it("retries failed refreshes with backoff until the budget is used", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({
+				stdTTL: 10,
+				ttr: 0.05,
+				retryPolicy: { strategy: "exponential", base: 0.02, maxAttempts: 3 }
+			}, async () => {
+				calls++;
+				if (calls > 1) {
+					throw new Error("backend down");
+				}
+				return "value";
+			});
+			const errors = [];
+			cache.on("refresh_error", function(error, key, args, attempt) {
+				errors.push([key, attempt, Date.now()]);
+			});
+			"value".should.eql(await cache.call("key", {}));
+			await Timeouts.setTimeout(300);
+
+			errors.map((e) => e[1]).should.eql([1, 2, 3]);
+			(errors[2][2] - errors[1][2]).should.be.above(errors[1][2] - errors[0][2]);
+			cache._refreshArgsCache.has("key").should.eql(false);
+			"value".should.eql(cache.get("key"));
+			cache.close();
+		});
+	});
+
+	describe("circuit breaker", function() {
+		it("fails fast while open and closes after a successful probe", async () => {
+			let calls = 0;
+			let failing = true;
+			const cache = new NodeCacheTs({
+				stdTTL: 10,
+				circuitBreaker: { minimumCalls: 2, failureRateThreshold: 0.5, openDuration: 0.1, halfOpenProbes: 1 }
+			}, async (args) => {
+				calls++;
+				if (failing) {
+					throw new Error("backend down");
+				}
+				return args.id;
+			});
+			const transitions = [];
+			cache.on("circuit_state_change", function(state, previous) {
+				transitions.push([previous, state]);
+			});
+			const callError = async (key) => {
+				try {
+					await cache.call(key, { id: key });
+				} catch (error) {
+					return error;
+				}
+			};
+
+			"backend down".should.eql((await callError("a")).message);
+			"backend down".should.eql((await callError("b")).message);
+			"open".should.eql(cache.getStats().circuit.state);
+
+			"ECIRCUITOPEN".should.eql((await callError("c")).name);
+			(2).should.eql(calls);
+
+			await Timeouts.setTimeout(150);
+			failing = false;
+			"d".should.eql(await cache.call("d", { id: "d" }));
+			"closed".should.eql(cache.getStats().circuit.state);
+			transitions.should.eql([["closed", "open"], ["open", "half-open"], ["half-open", "closed"]]);
+			cache.close();
+		});
+
+		it("does not spin background refreshes while a half-open probe is running", async () => {
+			let calls = 0;
+			let refreshes = 0;
+			const cache = new NodeCacheTs({
+				stdTTL: 10,
+				ttr: 0.05,
+				retryPause: 0.1,
+				circuitBreaker: { minimumCalls: 1, openDuration: 0.05 },
+				instrumentation: {
+					onOperationStart(operation) {
+						if (operation.name === "refresh") {
+							refreshes++;
+						}
+					},
+				},
+			}, async () => {
+				calls++;
+				if (calls <= 2) {
+					return "value";
+				}
+				if (calls <= 4) {
+					throw new Error("backend down");
+				}
+				// the probe hangs
+				await Timeouts.setTimeout(500);
+				return "value";
+			});
+			cache.on("refresh_error", () => {});
+			await cache.call("a", {});
+			await cache.call("b", {});
+			await Timeouts.setTimeout(400);
+			"half-open".should.eql(cache.getStats().circuit.state);
+			refreshes.should.be.below(15);
+			cache.close();
+		});
+
+		it("serves stale values while open", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({
+				stdTTL: 0.05,
+				ttr: 10,
+				staleIfError: 10,
+				circuitBreaker: { minimumCalls: 1, openDuration: 10 }
+			}, async () => {
+				calls++;
+				if (calls > 1) {
+					throw new Error("backend down");
+				}
+				return "value";
+			});
+			const reasons = [];
+			cache.on("stale_served", function(key, value, reason) {
+				reasons.push(reason);
+			});
+			"value".should.eql(await cache.call("key", {}));
+			try {
+				await cache.call("other", {});
+			} catch (error) {
+				"backend down".should.eql(error.message);
+			}
+			await Timeouts.setTimeout(100);
+
+			"value".should.eql(await cache.call("key", {}));
+			reasons.should.eql(["circuit_open"]);
+			(2).should.eql(calls);
+			cache.close();
+		});
+	});
+
+	describe("timeouts and abort", function() {
+		const hanging = (signals) => {
+			return async (args, context) => {
+				signals.push(context);
+				await Timeouts.setTimeout(args.sleep);
+				return args.sleep;
+			};
+		};
+
+		it("rejects all waiters with ETIMEOUT and aborts the signal", async () => {
+			const contexts = [];
+			const cache = new NodeCacheTs({ refreshTimeout: 0.05 }, hanging(contexts));
+			const errors = await Promise.all([
+				rejection(cache.call("key", { sleep: 200 })),
+				rejection(cache.call("key", { sleep: 200 }))
+			]);
+
+			errors.map((e) => e.name).should.eql(["ETIMEOUT", "ETIMEOUT"]);
+			(1).should.eql(contexts.length);
+			"key".should.eql(contexts[0].key);
+			(1).should.eql(contexts[0].attempt);
+			contexts[0].signal.aborted.should.eql(true);
+			cache.close();
+		});
+
+		it("per call timeout overrides refreshTimeout", async () => {
+			const contexts = [];
+			const cache = new NodeCacheTs({ refreshTimeout: 0.01 }, hanging(contexts));
+			(50).should.eql(await cache.call("key", { sleep: 50 }, { timeout: 1 }));
+			cache.close();
+		});
+
+		it("expiry does not abort a running refresh", async () => {
+			let calls = 0;
+			const errors = [];
+			const cache = new NodeCacheTs({ stdTTL: 0.3, ttr: 0.1 }, async () => {
+				calls++;
+				if (calls > 1) {
+					await Timeouts.setTimeout(300);
+				}
+				return calls;
+			});
+			cache.on("refresh_error", (error) => {
+				errors.push(error);
+			});
+			(1).should.eql(await cache.call("key", {}));
+			// the refresh started at 100ms outlives the ttl
+			await Timeouts.setTimeout(550);
+			errors.should.eql([]);
+			(2).should.eql(cache.get("key"));
+			(2).should.eql(await cache.call("key", {}));
+			(2).should.eql(calls);
+			cache.close();
+		});
+
+		it("del aborts the running call and a late response is not stored", async () => {
+			const contexts = [];
+			const cache = new NodeCacheTs({}, hanging(contexts));
+			const pending = rejection(cache.call("key", { sleep: 50 }));
+			cache.del("key");
+
+			"EABORTED".should.eql((await pending).name);
+			contexts[0].signal.aborted.should.eql(true);
+			await Timeouts.setTimeout(100);
+			cache.has("key").should.eql(false);
+			cache.close();
+		});
+	});
+
+	describe("negative caching", function() {
+		const notFound = () => {
+			const error = new Error("not found");
+			error.cacheable = true;
+			return error;
+		};
+
+		it("remembers an undefined result for negativeTTL", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ negativeTTL: 0.05, checkperiod: 0 }, async () => {
+				calls++;
+				return calls > 1 ? "found" : undefined;
+			});
+			chai.expect(await cache.call("key", {})).be.undefined;
+			chai.expect(await cache.call("key", {})).be.undefined;
+			(1).should.eql(calls);
+			cache.has("key").should.eql(false);
+			cache._refreshArgsCache.has("key").should.eql(false);
+
+			const stats = cache.getStats();
+			(1).should.eql(stats.negativeHits);
+			(1).should.eql(stats.negativeKeys);
+
+			await Timeouts.setTimeout(60);
+			"found".should.eql(await cache.call("key", {}));
+			cache._refreshArgsCache.has("key").should.eql(true);
+			cache.close();
+		});
+
+		it("rethrows a cacheable error without calling the refresh method", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ negativeTTL: 10, checkperiod: 0 }, async () => {
+				calls++;
+				throw notFound();
+			});
+			const first = await rejection(cache.call("key", {}));
+			const second = await rejection(cache.call("key", {}));
+			"not found".should.eql(first.message);
+			second.should.equal(first);
+			(1).should.eql(calls);
+			cache.close();
+		});
+
+		it("does not remember errors that are not cacheable", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ negativeTTL: 10, checkperiod: 0 }, async () => {
+				calls++;
+				throw new Error("backend down");
+			});
+			await rejection(cache.call("key", {}));
+			await rejection(cache.call("key", {}));
+			(2).should.eql(calls);
+			(0).should.eql(cache.getStats().negativeKeys);
+			cache.close();
+		});
+
+		it("negativeTTL does not remember rejections of fetchAsync", async () => {
+			let loads = 0;
+			const cache = new NodeCacheTs({ negativeTTL: 10, checkperiod: 0 }, async () => {
+				return "value";
+			});
+			const loader = async () => {
+				loads++;
+				throw notFound();
+			};
+			await rejection(cache.fetchAsync("key", loader));
+			await rejection(cache.fetchAsync("key", loader));
+			(2).should.eql(loads);
+			(0).should.eql(cache.getStats().negativeKeys);
+			cache.close();
+		});
+
+		it("set and del replace a negative result", async () => {
+			const cache = new NodeCacheTs({ negativeTTL: 10, checkperiod: 0 }, async () => {
+				throw notFound();
+			});
+			await rejection(cache.call("a", {}));
+			await rejection(cache.call("b", {}));
+			cache.set("a", "value");
+			"value".should.eql(await cache.call("a", {}));
+			cache.del("b");
+			(0).should.eql(cache.getStats().negativeKeys);
+			cache.close();
+		});
+
+		it("a background refresh answering not found drops the value", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 0.05, negativeTTL: 10 }, async () => {
+				calls++;
+				if (calls > 1) {
+					throw notFound();
+				}
+				return "value";
+			});
+			const errors = [];
+			cache.on("refresh_error", (error) => {
+				errors.push(error);
+			});
+			"value".should.eql(await cache.call("key", {}));
+			await Timeouts.setTimeout(150);
+
+			cache.has("key").should.eql(false);
+			(2).should.eql(calls);
+			errors.should.eql([]);
+			"not found".should.eql((await rejection(cache.call("key", {}))).message);
+			cache.close();
+		});
+	});
+
+	describe("batch refresh", function() {
+		const batchCache = (batches, options = {}) => {
+			return new NodeCacheTs({ checkperiod: 0, ...options }, async () => {
+				throw new Error("single refresh method should not be called");
+			}, async (entries) => {
+				batches.push(entries.map((entry) => entry.key));
+				const results = new Map();
+				for (const { key, args } of entries) {
+					results.set(key, args.fail ? new Error(`failed ${key}`) : args.value);
+				}
+				return results;
+			});
+		};
+
+		it("loads concurrent misses with one call", async () => {
+			const batches = [];
+			const cache = batchCache(batches);
+			const values = await Promise.all([
+				cache.call("a", { value: 1 }),
+				cache.call("b", { value: 2 }),
+				cache.call("a", { value: 1 })
+			]);
+			values.should.eql([1, 2, 1]);
+			batches.should.eql([["a", "b"]]);
+			cache.close();
+		});
+
+		it("mcall reports errors per key", async () => {
+			const batches = [];
+			const cache = batchCache(batches);
+			cache.set("c", 3);
+			const results = await cache.mcall([
+				{ key: "a", args: { value: 1 } },
+				{ key: "b", args: { fail: true } },
+				{ key: "c", args: { value: 30 } }
+			]);
+			results[0].should.eql({ status: "fulfilled", value: 1 });
+			"rejected".should.eql(results[1].status);
+			"failed b".should.eql(results[1].reason.message);
+			results[2].should.eql({ status: "fulfilled", value: 3 });
+			batches.should.eql([["a", "b"]]);
+			cache.has("b").should.eql(false);
+			cache.close();
+		});
+
+		it("splits batches at batchMaxSize and waits batchWindow for more keys", async () => {
+			const batches = [];
+			const cache = batchCache(batches, { batchMaxSize: 2, batchWindow: 0.02 });
+			const first = cache.mcall([
+				{ key: "a", args: { value: 1 } },
+				{ key: "b", args: { value: 2 } },
+				{ key: "c", args: { value: 3 } }
+			]);
+			await Timeouts.setTimeout(5);
+			const second = cache.call("d", { value: 4 });
+			await Promise.all([first, second]);
+			batches.should.eql([["a", "b"], ["c", "d"]]);
+			cache.close();
+		});
+
+		it("batches background refreshes that are due together", async () => {
+			const batches = [];
+			const cache = batchCache(batches, { stdTTL: 10, ttr: 0.05, checkperiod: 60, batchWindow: 0.02 });
+			await cache.mcall([
+				{ key: "a", args: { value: 1 } },
+				{ key: "b", args: { value: 2 } }
+			]);
+			await Timeouts.setTimeout(120);
+			batches.should.eql([["a", "b"], ["a", "b"]]);
+			cache.close();
+		});
+
+		it("a failing batch rejects all its keys", async () => {
+			const cache = new NodeCacheTs({ checkperiod: 0 }, async () => {
+				return 0;
+			}, async () => {
+				throw new Error("bulk endpoint down");
+			});
+			const results = await cache.mcall([
+				{ key: "a", args: {} },
+				{ key: "b", args: {} }
+			]);
+			results.map((result) => result.reason.message).should.eql(["bulk endpoint down", "bulk endpoint down"]);
+			cache.close();
+		});
+	});
+
+	describe("snapshots", function() {
+		it("dump includes the refresh args and load resumes the background refresh", async () => {
+			const calls = [];
+			const refresh = async (args) => {
+				calls.push(args.id);
+				return `user ${args.id}`;
+			};
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 0.05 }, refresh);
+			await cache.call("a", { id: 1 });
+			const snapshot = JSON.parse(JSON.stringify(cache.dump()));
+			cache.close();
+			snapshot.refreshArgs.map((entry) => [entry.k, entry.v]).should.eql([["a", { id: 1 }]]);
+
+			const restored = new NodeCacheTs({ stdTTL: 10, ttr: 0.05 }, refresh);
+			(1).should.eql(restored.load(snapshot));
+			"user 1".should.eql(await restored.call("a", { id: 2 }));
+			await Timeouts.setTimeout(120);
+			calls.should.eql([1, 1]);
+			restored.close();
+		});
+
+		it("refresh args of keys missing in the snapshot are not loaded", async () => {
+			const cache = new NodeCacheTs({ checkperiod: 0 }, async () => {
+				return 1;
+			});
+			cache.load({ version: 1, entries: [], refreshArgs: [{ k: "a", t: 0, v: {} }] });
+			cache._refreshArgsCache.keys().should.eql([]);
+			cache.close();
+		});
+	});
+
+	describe("tags", function() {
+		it("call stores tags and invalidateTag cancels the background refresh", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 0.05 }, async (args) => {
+				calls++;
+				return args.id;
+			});
+			await cache.call("a", { id: 1 }, { tags: ["users"] });
+			await cache.call("b", { id: 2 }, { tags: ["users"] });
+			await cache.call("c", { id: 3 });
+
+			(2).should.eql(cache.invalidateTag("users"));
+			cache._refreshArgsCache.keys().should.eql(["c"]);
+			await Timeouts.setTimeout(100);
+			(4).should.eql(calls);
+			cache.close();
+		});
+
+		it("background refreshes keep the tags of the key", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 0.05 }, async (args) => {
+				return args.id;
+			});
+			await cache.call("a", { id: 1 }, { tags: ["users"] });
+			await Timeouts.setTimeout(100);
+			(1).should.eql(cache.invalidateTag("users"));
+			cache.close();
+		});
+
+		it("delByPattern cancels the background refresh", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 10 }, async (args) => {
+				return args.id;
+			});
+			await cache.call("user:1", { id: 1 });
+			await cache.call("team:1", { id: 1 });
+			(1).should.eql(cache.delByPattern("user:*"));
+			cache._refreshArgsCache.keys().should.eql(["team:1"]);
+			cache.close();
+		});
+	});
+
+	describe("namespaces", function() {
+		it("internal caches and namespaces share the housekeeper", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 0.05, staleIfError: 1, negativeTTL: 1 }, async (args) => {
+				return args.id;
+			});
+			cache._refreshArgsCache.housekeeper.should.equal(cache.housekeeper);
+			cache._staleCache.housekeeper.should.equal(cache.housekeeper);
+			cache._negativeCache.housekeeper.should.equal(cache.housekeeper);
+
+			const users = cache.namespace("users", { ttr: 10 });
+			users.housekeeper.should.equal(cache.housekeeper);
+			(10).should.eql(users.ttr);
+			(2).should.eql(await users.call("a", { id: 2 }));
+			chai.expect(cache.get("a")).be.undefined;
+			cache.close();
+			chai.expect(cache.housekeeper.checkTimeout).be.null;
+		});
+	});
+
+	describe("invalidation bus", function() {
+		it("a remote del cancels the background refresh", async () => {
+			const listeners = [];
+			const connect = () => {
+				return {
+					publish(message) {
+						listeners.filter((listener) => listener.bus !== this).forEach((listener) => listener(message));
+					},
+					subscribe(listener) {
+						listener.bus = this;
+						listeners.push(listener);
+						return () => {};
+					},
+				};
+			};
+			const caches = [1, 2].map(() => {
+				return new NodeCacheTs({ stdTTL: 10, ttr: 10, invalidationBus: connect() }, async (args) => {
+					return args.id;
+				});
+			});
+			await caches[0].call("a", { id: 1 });
+			await caches[1].call("a", { id: 1 });
+			caches[0].del("a");
+			caches[1]._refreshArgsCache.keys().should.eql([]);
+			chai.expect(caches[1].get("a")).be.undefined;
+			caches.forEach((cache) => cache.close());
+		});
+	});
+
+	describe("shared cache", function() {
+		it("clients share the cache and the running calls of the host", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 10 }, async (args) => {
+				calls++;
+				await Timeouts.setTimeout(20);
+				return args.id;
+			});
+			const host = new SharedCacheHost(cache, "users");
+			const channels = [new MessageChannel(), new MessageChannel()];
+			const clients = channels.map(({ port1, port2 }) => {
+				host.connect(port1);
+				return new SharedCacheClient("users", port2);
+			});
+
+			(await Promise.all(clients.map((client) => client.call("a", { id: 1 })))).should.eql([1, 1]);
+			(1).should.eql(calls);
+			(1).should.eql(await clients[1].get("a"));
+			(true).should.eql(await clients[0].set("b", 2));
+			(2).should.eql(cache.get("b"));
+			(1).should.eql(await clients[1].del(["b", "c"]));
+			chai.expect(await clients[0].get("b")).be.undefined;
+
+			host.close();
+			clients.forEach((client) => client.close());
+			channels.forEach(({ port1, port2 }) => {
+				port1.close();
+				port2.close();
+			});
+			cache.close();
+		});
+
+		it("errors keep their name and properties", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, useClones: false }, async () => {
+				throw Object.assign(new Error("not found"), { name: "ENOTFOUND", status: 404 });
+			});
+			const host = new SharedCacheHost(cache);
+			const { port1, port2 } = new MessageChannel();
+			host.connect(port1);
+			const client = new SharedCacheClient(undefined, port2);
+
+			const error = await rejection(client.call("a", { id: 1 }));
+			error.should.be.instanceOf(Error);
+			error.name.should.eql("ENOTFOUND");
+			error.message.should.eql("not found");
+			(404).should.eql(error.status);
+
+			// a value that can not be cloned
+			cache.set("fn", { fn: () => {} });
+			(await rejection(client.get("fn"))).name.should.eql("DataCloneError");
+
+			host.close();
+			client.close();
+			port1.close();
+			port2.close();
+			cache.close();
+		});
+
+		it("close rejects pending requests", async () => {
+			const { port1, port2 } = new MessageChannel();
+			const client = new SharedCacheClient("unserved", port2);
+			const pending = rejection(client.get("a"));
+			client.close();
+			(await pending).name.should.eql("ECLOSED");
+			port1.close();
+		});
+
+		it("serves the workers of a cluster", async () => {
+			const workers = new EventEmitter();
+			const cache = new NodeCacheTs({ stdTTL: 10 }, async (args) => {
+				return args.id;
+			});
+			const host = new SharedCacheHost(cache);
+			const stop = host.listenCluster(workers);
+			// the IPC channel as seen from the worker process and from the primary
+			const workerProcess = new EventEmitter();
+			const worker = new EventEmitter();
+			workerProcess.send = (message) => {
+				workers.emit("message", worker, JSON.parse(JSON.stringify(message)));
+			};
+			worker.send = (message) => {
+				workerProcess.emit("message", JSON.parse(JSON.stringify(message)));
+			};
+			const client = new SharedCacheClient(undefined, ipcPort(workerProcess));
+
+			(3).should.eql(await client.call("a", { id: 3 }));
+			(3).should.eql(cache.get("a"));
+			stop();
+			(0).should.eql(workers.listenerCount("message"));
+			client.close();
+			cache.close();
+		});
+	});
+
+	describe("l2 tier", function() {
+		it("loads a key once for all caches sharing the tier", async () => {
+			const l2 = new MemoryL2Store();
+			let calls = 0;
+			const [a, b] = [1, 2].map(() => {
+				return new NodeCacheTs({ stdTTL: 10, l2 }, async (args) => {
+					calls++;
+					return { id: args.id };
+				});
+			});
+			(await a.call("user", { id: 1 })).should.eql({ id: 1 });
+			(await b.call("user", { id: 1 })).should.eql({ id: 1 });
+			(1).should.eql(calls);
+			l2.keys().should.eql(["user"]);
+			// the l2 tier keeps the expiry of the first load
+			b.getTtl("user").should.eql(a.getTtl("user"));
+
+			const aStats = a.getStats();
+			const bStats = b.getStats();
+			[aStats.l2Hits, aStats.originLoads].should.eql([0, 1]);
+			[bStats.hits, bStats.l2Hits, bStats.originLoads].should.eql([0, 1, 0]);
+			await b.call("user", { id: 1 });
+			[b.getStats().hits, b.getStats().l2Hits].should.eql([1, 1]);
+			b.flushStats();
+			[b.getStats().l2Hits, b.getStats().originLoads].should.eql([0, 0]);
+			a.close();
+			b.close();
+		});
+
+		it("background refreshes take the value another cache refreshed later", async () => {
+			const l2 = new MemoryL2Store();
+			let calls = 0;
+			const [a, b] = [0.05, 0.1].map((ttr) => {
+				return new NodeCacheTs({ stdTTL: 10, ttr, l2 }, async () => {
+					calls++;
+					return calls;
+				});
+			});
+			await a.call("key", {});
+			await b.call("key", {});
+			await Timeouts.setTimeout(160);
+			// a refreshed from the origin, b took the value of a
+			(2).should.eql(calls);
+			(2).should.eql(a.get("key"));
+			(2).should.eql(b.get("key"));
+			(2).should.eql(b.getStats().l2Hits);
+			a.close();
+			b.close();
+		});
+
+		it("del removes the key from the tier, namespaces do not share it", async () => {
+			const l2 = new MemoryL2Store();
+			const cache = new NodeCacheTs({ stdTTL: 10, l2 }, async (args) => {
+				return args.id;
+			});
+			await cache.call("a", { id: 1 });
+			await cache.namespace("users").call("b", { id: 2 });
+			l2.keys().should.eql(["a"]);
+			cache.del("a");
+			await Timeouts.setTimeout(1);
+			l2.keys().should.eql([]);
+			cache.close();
+		});
+
+		it("failures of the tier are emitted and the refresh method is called", async () => {
+			const failure = new Error("l2 down");
+			const l2 = {
+				get: async () => {
+					throw failure;
+				},
+				set: async () => {
+					throw failure;
+				},
+				del: async () => {},
+			};
+			const cache = new NodeCacheTs({ stdTTL: 10, l2 }, async (args) => {
+				return args.id;
+			});
+			const errors = [];
+			cache.on("l2_error", (error, key) => {
+				errors.push([error.message, key]);
+			});
+			(1).should.eql(await cache.call("a", { id: 1 }));
+			await Timeouts.setTimeout(1);
+			errors.should.eql([["l2 down", "a"], ["l2 down", "a"]]);
+			(1).should.eql(cache.getStats().originLoads);
+			cache.close();
+		});
+
+		it("a hanging tier does not outlast the timeout or a del", async () => {
+			const l2 = {
+				get: () => {
+					return new Promise(() => {});
+				},
+				set: async () => {},
+				del: async () => {},
+			};
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 10, refreshTimeout: 0.05, l2 }, async () => {
+				calls++;
+				return calls;
+			});
+			"ETIMEOUT".should.eql((await rejection(cache.call("a", {}))).name);
+			const pending = rejection(cache.call("b", {}, { timeout: 0 }));
+			cache.del("b");
+			"EABORTED".should.eql((await pending).name);
+			(0).should.eql(calls);
+			cache.close();
+		});
+
+		it("a negative result removes the key from the tier", async () => {
+			const l2 = new MemoryL2Store();
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 10, ttr: 0.05, negativeTTL: 0.1, l2 }, async () => {
+				calls++;
+				if (calls > 1) {
+					const error = new Error("not found");
+					error.cacheable = true;
+					throw error;
+				}
+				return "value";
+			});
+			"value".should.eql(await cache.call("key", {}));
+			l2.keys().should.eql(["key"]);
+			// the background refresh answers not found
+			await Timeouts.setTimeout(100);
+			l2.keys().should.eql([]);
+			// once the negative result expired the origin is asked again
+			await Timeouts.setTimeout(100);
+			"not found".should.eql((await rejection(cache.call("key", {}))).message);
+			(3).should.eql(calls);
+			cache.close();
+		});
+	});
+
+	describe("metrics", function() {
+		it("report refresh results, latency and running calls", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, metricsLabels: { cache: "users" } }, async (args) => {
+				await Timeouts.setTimeout(args.sleep);
+				if (args.fail) {
+					throw new Error("failed");
+				}
+				return args.sleep;
+			});
+			await cache.call("a", { sleep: 1 });
+			await rejection(cache.call("b", { sleep: 1, fail: true }));
+			const pending = cache.call("c", { sleep: 20 });
+
+			const text = cache.metrics();
+			text.should.include("node_cache_refreshes_total{cache=\"users\",result=\"success\"} 1\n");
+			text.should.include("node_cache_refreshes_total{cache=\"users\",result=\"failure\"} 1\n");
+			text.should.include("# TYPE node_cache_refresh_duration_seconds histogram\n# UNIT node_cache_refresh_duration_seconds seconds\n");
+			text.should.include("node_cache_refresh_duration_seconds_count{cache=\"users\"} 2\n");
+			text.should.include("node_cache_inflight_calls{cache=\"users\"} 1\n");
+			text.should.include("node_cache_origin_loads_total{cache=\"users\"} 3\n");
+			await pending;
+			[cache.getStats().refreshes, cache.getStats().refreshErrors].should.eql([2, 1]);
+
+			cache.flushStats();
+			cache.metrics().should.include("node_cache_refresh_duration_seconds_count{cache=\"users\"} 0\n");
+			cache.close();
+		});
+	});
+
+	describe("instrumentation", function() {
+		const recorder = () => {
+			const events = [];
+			return {
+				events,
+				onOperationStart(operation) {
+					events.push(["start", operation.name, operation.key]);
+				},
+				onOperationEnd(operation) {
+					events.push(["end", operation.name, operation.key, operation.outcome, operation.attributes]);
+				},
+			};
+		};
+
+		it("reports hits, loads and coalesced calls", async () => {
+			const instrumentation = recorder();
+			const cache = new NodeCacheTs({ stdTTL: 10, instrumentation }, async (args) => {
+				await Timeouts.setTimeout(5);
+				return args.id;
+			});
+			await Promise.all([cache.call("a", { id: 1 }), cache.call("a", { id: 1 })]);
+			await cache.call("a", { id: 1 });
+			instrumentation.events.map((event) => event.slice(0, 4)).should.eql([
+				["start", "call", "a"],
+				["start", "load", "a"],
+				["start", "call", "a"],
+				["end", "load", "a", "loaded"],
+				["end", "call", "a", "loaded"],
+				["end", "call", "a", "coalesced"],
+				["start", "call", "a"],
+				["end", "call", "a", "hit"],
+			]);
+			instrumentation.events[4][4].should.eql({ "cache.refresh.background": false, "cache.hit": false, "cache.coalesced": false, "cache.stale": false });
+			instrumentation.events[5][4]["cache.coalesced"].should.eql(true);
+			instrumentation.events[7][4]["cache.hit"].should.eql(true);
+			instrumentation.events[3][4]["cache.refresh.attempt"].should.eql(1);
+			cache.close();
+		});
+
+		it("reports background refreshes, stale values and errors", async () => {
+			const instrumentation = recorder();
+			let fail = false;
+			const cache = new NodeCacheTs({ stdTTL: 0.1, ttr: 0.03, staleIfError: 10, instrumentation }, async () => {
+				if (fail) {
+					throw new Error("down");
+				}
+				return "value";
+			});
+			await cache.call("a", {});
+			await Timeouts.setTimeout(50);
+			const refresh = instrumentation.events.find((event) => event[0] === "end" && event[1] === "refresh");
+			refresh[3].should.eql("loaded");
+			refresh[4]["cache.refresh.background"].should.eql(true);
+
+			fail = true;
+			await Timeouts.setTimeout(100);
+			instrumentation.events.length = 0;
+			(await cache.call("a", {})).should.eql("value");
+			const call = instrumentation.events.find((event) => event[0] === "end" && event[1] === "call");
+			call[3].should.eql("stale");
+			call[4]["cache.stale"].should.eql(true);
+			instrumentation.events.find((event) => event[0] === "end" && event[1] === "load")[3].should.eql("error");
+			cache.close();
+		});
+
+		it("hooks that throw do not break the cache", async () => {
+			const cache = new NodeCacheTs({ instrumentation: {
+				onOperationStart() {
+					throw new Error("broken hook");
+				},
+				onOperationEnd() {
+					throw new Error("broken hook");
+				},
+			} }, async (args) => {
+				return args.id;
+			});
+			(1).should.eql(await cache.call("a", { id: 1 }));
+			cache.close();
+		});
+
+		it("openTelemetryInstrumentation creates one span per operation", async () => {
+			const spans = [];
+			const tracer = {
+				startSpan(name, options) {
+					const span = { name, attributes: { ...options.attributes }, startTime: options.startTime, exceptions: [] };
+					spans.push(span);
+					return {
+						setAttributes(attributes) {
+							Object.assign(span.attributes, attributes);
+						},
+						recordException(error) {
+							span.exceptions.push(error.message);
+						},
+						setStatus(status) {
+							span.status = status;
+						},
+						end(endTime) {
+							span.endTime = endTime;
+						},
+					};
+				},
+			};
+			const cache = new NodeCacheTs({ instrumentation: openTelemetryInstrumentation({ tracer }) }, async (args) => {
+				if (args.fail) {
+					throw new Error("down");
+				}
+				return args.id;
+			});
+			await cache.call(1, { id: 1 });
+			await rejection(cache.call(2, { fail: true }));
+
+			spans.map((span) => [span.name, span.attributes["cache.key"], span.attributes["cache.outcome"]]).should.eql([
+				["cache.call", "1", "loaded"],
+				["cache.load", "1", "loaded"],
+				["cache.call", "2", "error"],
+				["cache.load", "2", "error"],
+			]);
+			spans[0].attributes["cache.hit"].should.eql(false);
+			spans[0].endTime.should.be.at.least(spans[0].startTime);
+			chai.expect(spans[0].status).be.undefined;
+			spans[2].status.should.eql({ code: 2, message: "down" });
+			spans[2].exceptions.should.eql(["down"]);
+			cache.close();
+		});
+	});
+
+	describe("derived keys", function() {
+		it("call(args) derives the key independent of the order of the arguments", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 10 }, async (args) => {
+				calls++;
+				return args.id;
+			});
+			(1).should.eql(await cache.call({ id: 1, filter: { a: 1, b: [1, 2] } }));
+			(1).should.eql(await cache.call({ filter: { b: [1, 2], a: 1 }, id: 1 }));
+			(1).should.eql(calls);
+			("1").should.eql(await cache.call({ id: "1", filter: { a: 1, b: [1, 2] } }));
+			(2).should.eql(calls);
+			cache.keys().should.eql([deriveKey({ id: 1, filter: { a: 1, b: [1, 2] } }), deriveKey({ id: "1", filter: { a: 1, b: [1, 2] } })]);
+			cache.close();
+		});
+
+		it("keyFn overrides the derivation, options are the second argument", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, keyFn: (args) => `user:${args.id}` }, async (args) => {
+				return args.id;
+			});
+			await cache.call({ id: 1 }, { tags: ["users"] });
+			cache.keys().should.eql(["user:1"]);
+			(1).should.eql(cache.invalidateTag("users"));
+			cache.close();
+		});
+
+		it("canonicalize tells apart what JSON does not", () => {
+			canonicalize({ b: 1, a: [1, { d: 2, c: undefined }] }).should.eql(canonicalize({ a: [1, { d: 2 }], b: 1 }));
+			canonicalize(1n).should.not.eql(canonicalize(1));
+			canonicalize(new Map([["a", 1]])).should.not.eql(canonicalize(new Map([["a", 2]])));
+			canonicalize(new Set([1, 2])).should.eql(canonicalize(new Set([2, 1])));
+			canonicalize(new Date(0)).should.not.eql(canonicalize(new Date(0).toISOString()));
+			const circular = { a: 1 };
+			circular.self = circular;
+			(() => canonicalize(circular)).should.throw(TypeError);
+			// shared references are no cycles
+			const shared = { a: 1 };
+			canonicalize({ x: shared, y: shared }).should.eql('{"x":{"a":1},"y":{"a":1}}');
+		});
+
+		it("reports other arguments for an explicit key if enabled", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, detectKeyMismatch: true }, async (args) => {
+				return args.id;
+			});
+			const mismatches = [];
+			cache.on("key_mismatch", (key, scheduled, args) => {
+				mismatches.push([key, scheduled, args]);
+			});
+			await cache.call("user", { id: 1, tags: ["a"] });
+			await cache.call("user", { tags: ["a"], id: 1 });
+			await cache.call("user", { id: 2 });
+			mismatches.should.eql([["user", { id: 1, tags: ["a"] }, { id: 2 }]]);
+
+			const quiet = new NodeCacheTs({ stdTTL: 10, detectKeyMismatch: false }, async (args) => {
+				return args.id;
+			});
+			quiet.on("key_mismatch", () => {
+				throw new Error("not expected");
+			});
+			await quiet.call("user", { id: 1 });
+			await quiet.call("user", { id: 2 });
+			cache.close();
+			quiet.close();
+		});
+
+		it("without a listener a mismatch is a process warning", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, detectKeyMismatch: true }, async (args) => {
+				return args.id;
+			});
+			const warning = new Promise((resolve) => process.once("warning", resolve));
+			await cache.call("user", { id: 1 });
+			await cache.call("user", { id: 2 });
+			(await warning).code.should.eql("EKEYMISMATCH");
+			cache.close();
+		});
+
+		it("shared cache clients can call with the arguments only", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 10, keyFn: (args) => `user:${args.id}` }, async (args) => {
+				return args.id;
+			});
+			const host = new SharedCacheHost(cache);
+			const { port1, port2 } = new MessageChannel();
+			host.connect(port1);
+			const client = new SharedCacheClient(undefined, port2);
+			(7).should.eql(await client.call({ id: 7 }));
+			cache.keys().should.eql(["user:7"]);
+			host.close();
+			client.close();
+			port1.close();
+			cache.close();
+		});
+	});
+
+	describe("memoize", function() {
+		it("caches the results of a function by its arguments", async () => {
+			let calls = 0;
+			const getUser = memoize(async (id, options) => {
+				calls++;
+				return { id, ...options };
+			}, { ttl: 10 });
+			(await getUser(1, { full: true })).should.eql({ id: 1, full: true });
+			(await getUser(1, { full: true })).should.eql({ id: 1, full: true });
+			(await getUser(2, { full: true })).should.eql({ id: 2, full: true });
+			(2).should.eql(calls);
+			getUser.cache.keys().length.should.eql(2);
+			getUser.cache.options.stdTTL.should.eql(10);
+
+			(1).should.eql(getUser.invalidate(1, { full: true }));
+			await getUser(1, { full: true });
+			(3).should.eql(calls);
+			getUser.cache.close();
+		});
+
+		it("key derives the cache key, refresh reloads a cached result", async () => {
+			let version = 0;
+			const getUser = memoize(async (id) => {
+				version++;
+				return `${id}@${version}`;
+			}, { ttl: 10, ttr: 5, key: (id) => `user:${id}` });
+			("1@1").should.eql(await getUser(1));
+			getUser.cache.keys().should.eql(["user:1"]);
+			const refreshed = getUser.refresh(1);
+			// the cached value is served while the refresh is running
+			("1@1").should.eql(await getUser(1));
+			("1@2").should.eql(await refreshed);
+			("1@2").should.eql(await getUser(1));
+			getUser.cache.close();
+		});
+
+		it("@cached memoizes a method per instance", async () => {
+			class Service {
+				constructor(prefix) {
+					this.prefix = prefix;
+					this.calls = 0;
+				}
+
+				async find(id) {
+					this.calls++;
+					return `${this.prefix}${id}`;
+				}
+			}
+			// what the compiler does for `@cached({ ttl: 10 })` on `find`
+			const initializers = [];
+			cached({ ttl: 10 })(Service.prototype.find, {
+				kind: "method",
+				name: "find",
+				addInitializer(initializer) {
+					initializers.push(initializer);
+				},
+			});
+			const create = (prefix) => {
+				const service = new Service(prefix);
+				initializers.forEach((initializer) => initializer.call(service));
+				return service;
+			};
+			const a = create("a");
+			const b = create("b");
+			("a1").should.eql(await a.find(1));
+			("a1").should.eql(await a.find(1));
+			("b1").should.eql(await b.find(1));
+			[a.calls, b.calls].should.eql([1, 1]);
+			a.find.cache.should.not.equal(b.find.cache);
+			(1).should.eql(a.find.invalidate(1));
+			a.find.cache.close();
+			b.find.cache.close();
+		});
+	});
+
+	describe("refresh", function() {
+		it("loads a cached key again and keeps its arguments", async () => {
+			let version = 0;
+			const cache = new NodeCacheTs({ stdTTL: 10 }, async (args) => {
+				version++;
+				return `${args.id}@${version}`;
+			});
+			("1@1").should.eql(await cache.call("a", { id: 1 }));
+			("2@2").should.eql(await cache.refresh("a", { id: 2 }));
+			("2@2").should.eql(await cache.call("a", { id: 3 }));
+			cache._refreshArgsCache.get("a").should.eql({ id: 2 });
+			(2).should.eql(version);
+			cache.close();
+		});
+	});
+
+	describe("entry timing", function() {
+		const near = (actual, expected) => {
+			Math.abs(actual - expected).should.be.below(50);
+		};
+
+		it("ttl and ttr of call apply to the key and its background refreshes", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 100 }, async () => {
+				calls++;
+				return calls;
+			});
+			await cache.call("short", {}, { ttl: 10, ttr: 0.05 });
+			await cache.call("default", {});
+			near(cache.getTtl("short"), Date.now() + 10000);
+			near(cache._refreshArgsCache.getTtl("short"), Date.now() + 50);
+			near(cache.getTtl("default"), Date.now() + 100000);
+			near(cache._refreshArgsCache.getTtl("default"), Date.now() + 70000);
+
+			await Timeouts.setTimeout(200);
+			(3).should.eql(calls);
+			(3).should.eql(cache.get("short"));
+			// refreshed with the ttl of the call, not stdTTL
+			cache.getTtl("short").should.be.within(Date.now() + 9000, Date.now() + 10000);
+			cache.close();
+		});
+
+		it("a ttl without ttr refreshes at 70% of it", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 100 }, async () => {
+				return "value";
+			});
+			await cache.call("key", {}, { ttl: 10 });
+			near(cache._refreshArgsCache.getTtl("key"), Date.now() + 7000);
+			cache.close();
+		});
+
+		it("hints of a RefreshResult win over the options of the call", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 100 }, async (args) => {
+				return new RefreshResult(`body of ${args.url}`, { ttl: args.maxAge });
+			});
+			("body of /a").should.eql(await cache.call("a", { url: "/a", maxAge: 20 }, { ttl: 5, ttr: 1 }));
+			("body of /a").should.eql(cache.get("a"));
+			near(cache.getTtl("a"), Date.now() + 20000);
+			near(cache._refreshArgsCache.getTtl("a"), Date.now() + 14000);
+			cache.close();
+		});
+
+		it("hints apply to the results of the batch refresh method", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 100 }, async () => {
+				return "single";
+			}, async (entries) => {
+				return new Map(entries.map(({ key, args }) => {
+					return [key, new RefreshResult(args.id, { ttl: args.id, ttr: 1 })];
+				}));
+			});
+			const results = await cache.mcall([{ key: "a", args: { id: 5 } }, { key: "b", args: { id: 8 } }]);
+			results.map((result) => {
+				return result.value;
+			}).should.eql([5, 8]);
+			near(cache.getTtl("b"), Date.now() + 8000);
+			near(cache._refreshArgsCache.getTtl("b"), Date.now() + 1000);
+			cache.close();
+		});
+
+		it("failed loads do not keep the timing of the call", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 100 }, async (args) => {
+				throw new Error(`no ${args.id}`);
+			});
+			for (let id = 0; id < 50; id++) {
+				await rejection(cache.call({ id }, { ttl: 10, ttr: 5 }));
+				await rejection(cache.refresh(`key${id}`, { id }, { ttl: 10 }));
+			}
+			cache._keyTimings.size.should.eql(0);
+			cache.close();
+		});
+
+		it("del forgets the timing of a key", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 100 }, async () => {
+				return "value";
+			});
+			await cache.call("key", {}, { ttl: 10 });
+			cache.del("key");
+			await cache.call("key", {});
+			near(cache.getTtl("key"), Date.now() + 100000);
+			near(cache._refreshArgsCache.getTtl("key"), Date.now() + 70000);
+			cache.close();
+		});
+	});
+
+	describe("access-aware refresh", function() {
+		it("getAccess reports the latest call and the calls since the load", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 100 }, async () => {
+				return "value";
+			});
+			(cache.getAccess("key") === undefined).should.eql(true);
+			await cache.call("key", {});
+			await cache.call("key", {});
+			await cache.call("key", {});
+			const access = cache.getAccess("key");
+			access.hits.should.eql(2);
+			Math.abs(access.lastAccess - Date.now()).should.be.below(50);
+			await cache.refresh("key", {});
+			cache.getAccess("key").hits.should.eql(0);
+			cache.del("key");
+			(cache.getAccess("key") === undefined).should.eql(true);
+			cache.close();
+		});
+
+		it("failed loads do not record an access", async () => {
+			const cache = new NodeCacheTs({ stdTTL: 100, maxKeys: 10 }, async (args) => {
+				throw new Error(`no ${args.id}`);
+			});
+			for (let id = 0; id < 50; id++) {
+				await rejection(cache.call({ id }));
+			}
+			cache._access.size.should.eql(0);
+			cache.close();
+		});
+
+		it("idleTimeout stops refreshing keys nobody calls", async () => {
+			let calls = 0;
+			const cache = new NodeCacheTs({ stdTTL: 100, ttr: 0.05, idleTimeout: 0.02 }, async () => {
+				calls++;
+				return calls;
+			});
+			await cache.call("key", {});
+			await Timeouts.setTimeout(120);
+			(1).should.eql(calls);
+			(1).should.eql(cache.getStats().skippedRefreshes);
+			cache._refreshArgsCache.has("key").should.eql(false);
+
+			// a call schedules the refresh again
+			(1).should.eql(await cache.call("key", {}));
+			cache._refreshArgsCache.has("key").should.eql(true);
+			cache.close();
+		});
+
+		it("refreshAhead only refreshes keys read since their load", async () => {
+			const loads = { hot: 0, cold: 0 };
+			const cache = new NodeCacheTs({ stdTTL: 100, ttr: 0.05, refreshAhead: 1 }, async (args) => {
+				loads[args.name]++;
+				return args.name;
+			});
+			await cache.call("cold", { name: "cold" });
+			for (let i = 0; i < 50; i++) {
+				await cache.call("hot", { name: "hot" });
+			}
+			await Timeouts.setTimeout(120);
+			loads.should.eql({ hot: 2, cold: 1 });
+			(1).should.eql(cache.getStats().skippedRefreshes);
+			cache.getAccess("hot").hits.should.eql(0);
+			cache.close();
+		});
+	});
+});